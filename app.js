@@ -50,41 +50,151 @@ function setActiveListButton(listRootEl, predicateFn) {
 const CATALOG_URL = 'data/catalog.json';
 // Repo layout: /index.html, /app.js, /styles.css, /data/catalog.json
 
+// Split layout (one file per object/attribute), generated by scripts/catalog-files.js.
+// Preferred when present; CATALOG_URL is the merged legacy file and the fallback.
+const CATALOG_INDEX_URL = 'data/index.json';
+
+// Manifest of dated catalog snapshots; "file" entries are relative to the manifest.
+// Open index.html?release=<id> to browse a snapshot instead of CATALOG_URL.
+const RELEASES_MANIFEST_URL = 'data/releases/index.json';
+
 // >>>>> SET THIS to your GitHub repo's "new issue" URL base
+// (default only: catalog.json ui.submission chooses and configures the backend, see SUBMISSION ADAPTERS)
 const GITHUB_NEW_ISSUE_BASE =
-  'https://github.com/AmateurProjects/Public-Lands-Data-Catalog/issues/new';
+  'https://github.com/AmateurProjects/BLM-GIS-Object-Catalog/issues/new';
 
 // ====== CATALOG MODULE (shared loader + indexes) ======
 const Catalog = (function () {
   let cache = null;
   let indexesBuilt = false;
 
+  let releasesCache = null;
+  let activeRelease = null;
+  const releaseCatalogCache = {};
+
   let attributeById = {};
   let objectById = {};
   let objectsByAttributeId = {};
+  let attributeGroupById = {};
+  let relationshipsByObjectId = {};
 
   async function loadCatalog() {
     if (cache) return cache;
-    const resp = await fetch(CATALOG_URL);
+
+    let url = CATALOG_URL;
+    // An unknown ?release= id falls back to the current catalog (the release selector shows which)
+    const requestedRelease = getRequestedReleaseId();
+    if (requestedRelease) {
+      const release = (await loadReleases()).find((r) => r.id === requestedRelease);
+      if (release) {
+        url = release.url;
+        activeRelease = release;
+      }
+    }
+
+    // Release snapshots are always single files
+    let raw = activeRelease ? null : await loadSplitCatalog(CATALOG_INDEX_URL);
+    if (!raw) raw = await fetchJson(url);
+
+    cache = normalizeCatalog(raw);
+    buildIndexes();
+    return cache;
+  }
+
+  async function fetchJson(url) {
+    const resp = await fetch(url);
     if (!resp.ok) {
-      throw new Error(`Failed to load catalog.json: ${resp.status}`);
+      throw new Error(`Failed to load ${url}: ${resp.status}`);
     }
+    return resp.json();
+  }
 
-    const raw = await resp.json();
+  // Assemble a raw catalog from the split layout; null when there is no index.
+  // Index: { meta, objects_key, objects: [file], attributes: [file] } with paths relative to the index.
+  async function loadSplitCatalog(indexUrl) {
+    let resp;
+    try {
+      resp = await fetch(indexUrl);
+    } catch (e) {
+      return null;
+    }
+    if (!resp.ok) return null;
+
+    const index = await resp.json();
+    const baseUrl = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1);
+    const [meta, objects, attributes] = await Promise.all([
+      index.meta ? fetchJson(baseUrl + index.meta) : {},
+      Promise.all((index.objects || []).map((f) => fetchJson(baseUrl + f))),
+      Promise.all((index.attributes || []).map((f) => fetchJson(baseUrl + f))),
+    ]);
+    return { ...meta, objects, attributes };
+  }
 
-    // Normalize: allow legacy JSON keys while keeping app terminology clean.
-    // Canonical app keys:
-    // - raw.objects (preferred) or raw.datasets (legacy)
-    // - raw.attributes (preferred)
-    const normalized = {
-      ...raw,
-      objects: Array.isArray(raw.objects) ? raw.objects : Array.isArray(raw.datasets) ? raw.datasets : [],
-      attributes: Array.isArray(raw.attributes) ? raw.attributes : [],
+  // Normalize: allow legacy JSON keys while keeping app terminology clean.
+  // Canonical app keys:
+  // - raw.objects (preferred) or raw.datasets (legacy)
+  // - raw.attributes (preferred)
+  // Also used for catalogs loaded for comparison (they do not touch the cache/indexes).
+  function normalizeCatalog(raw) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    return {
+      ...src,
+      objects: Array.isArray(src.objects) ? src.objects : Array.isArray(src.datasets) ? src.datasets : [],
+      attributes: Array.isArray(src.attributes) ? src.attributes : [],
     };
+  }
 
-    cache = normalized;
-    buildIndexes();
-    return cache;
+  function getRequestedReleaseId() {
+    try {
+      return new URLSearchParams(window.location.search).get('release') || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Releases sorted oldest -> newest: [{ id, label, date, notes, url }]. Missing manifest = no releases.
+  async function loadReleases() {
+    if (releasesCache) return releasesCache;
+
+    let manifest = null;
+    try {
+      const resp = await fetch(RELEASES_MANIFEST_URL);
+      if (resp.ok) manifest = await resp.json();
+    } catch (e) {
+      manifest = null;
+    }
+
+    const baseUrl = RELEASES_MANIFEST_URL.slice(0, RELEASES_MANIFEST_URL.lastIndexOf('/') + 1);
+    const list = manifest && Array.isArray(manifest.releases) ? manifest.releases : [];
+    releasesCache = list
+      .filter((r) => r && r.id && r.file)
+      .map((r, order) => ({
+        id: String(r.id),
+        label: r.label || String(r.id),
+        date: r.date || '',
+        notes: r.notes || '',
+        url: /^([a-z]+:)?\/\//i.test(r.file) || r.file.startsWith('/') ? r.file : baseUrl + r.file,
+        order,
+      }))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.order - b.order)
+      .map(({ order, ...r }) => r);
+    return releasesCache;
+  }
+
+  // Normalized snapshot for one release (does not replace the active catalog)
+  async function loadReleaseCatalog(releaseId) {
+    if (releaseCatalogCache[releaseId]) return releaseCatalogCache[releaseId];
+    const release = (await loadReleases()).find((r) => r.id === releaseId);
+    if (!release) throw new Error(`Unknown release "${releaseId}"`);
+    const resp = await fetch(release.url);
+    if (!resp.ok) throw new Error(`Failed to load ${release.url}: ${resp.status}`);
+    releaseCatalogCache[releaseId] = normalizeCatalog(await resp.json());
+    return releaseCatalogCache[releaseId];
+  }
+
+  // Release being browsed (null = current catalog)
+  function getActiveRelease() {
+    return activeRelease;
   }
 
   function buildIndexes() {
@@ -93,22 +203,37 @@ const Catalog = (function () {
     attributeById = {};
     objectById = {};
     objectsByAttributeId = {};
+    attributeGroupById = {};
+    relationshipsByObjectId = {};
 
     // Attributes index
     (cache.attributes || []).forEach((a) => {
       if (a && a.id) attributeById[a.id] = a;
     });
 
+    // Attribute groups (resolved into each object's attributes by getAttributeRefsForObject)
+    getAttributeGroups().forEach((g) => {
+      attributeGroupById[g.id] = g;
+    });
+
     // Objects index + reverse index attribute -> objects
     (cache.objects || []).forEach((obj) => {
       if (obj && obj.id) objectById[obj.id] = obj;
 
-      (obj.attribute_ids || []).forEach((attrId) => {
+      getAttributeRefsForObject(obj).forEach(({ id: attrId }) => {
         if (!objectsByAttributeId[attrId]) objectsByAttributeId[attrId] = [];
         objectsByAttributeId[attrId].push(obj);
       });
     });
 
+    // Relationships by the objects at either end
+    getRelationships().forEach((rel) => {
+      [rel.origin, rel.destination].forEach((objId) => {
+        if (!relationshipsByObjectId[objId]) relationshipsByObjectId[objId] = [];
+        if (!relationshipsByObjectId[objId].includes(rel)) relationshipsByObjectId[objId].push(rel);
+      });
+    });
+
     indexesBuilt = true;
   }
 
@@ -120,9 +245,109 @@ const Catalog = (function () {
     return objectById[id] || null;
   }
 
+  // Relationship classes from catalog.json "relationships":
+  //   { id, origin, destination, cardinality: one_to_one | one_to_many | many_to_many, composite,
+  //     origin_primary_key, origin_foreign_key, destination_primary_key, destination_foreign_key,
+  //     forward_label, backward_label, description }
+  // origin/destination are object ids; the key fields are attribute ids. origin_foreign_key is the
+  // destination attribute holding the origin key (in the relationship table for many_to_many, which
+  // also needs the destination_* keys).
+  function getRelationships() {
+    return cache && Array.isArray(cache.relationships)
+      ? cache.relationships.filter((r) => r && r.id && r.origin && r.destination)
+      : [];
+  }
+
+  function getRelationshipsForObject(objId) {
+    return relationshipsByObjectId[objId] || [];
+  }
+
+  // Per-object attribute settings an "attributes" entry may carry
+  const ATTRIBUTE_OVERRIDE_KEYS = ['required', 'alias', 'order', 'notes'];
+
+  // Reusable attribute blocks from catalog.json "attribute_groups":
+  //   { id, label, description, attribute_ids | attributes, attribute_group_ids, object_defaults }
+  // Objects (and other groups) include them with "attribute_group_ids".
+  function getAttributeGroups() {
+    return cache && Array.isArray(cache.attribute_groups) ? cache.attribute_groups.filter((g) => g && g.id) : [];
+  }
+
+  function getAttributeGroupById(id) {
+    return attributeGroupById[id] || null;
+  }
+
+  // Refs contributed by groups, nested groups first; each group is expanded once
+  function resolveGroupRefs(groupIds, visited = new Set()) {
+    const refs = [];
+    (Array.isArray(groupIds) ? groupIds : []).forEach((gid) => {
+      const group = attributeGroupById[gid];
+      if (!group || visited.has(gid)) return;
+      visited.add(gid);
+      refs.push(...resolveGroupRefs(group.attribute_group_ids, visited));
+      readAttributeRefs(group).forEach((ref) => refs.push({ ...ref, group: gid }));
+    });
+    return refs;
+  }
+
+  // [{ id, required?, alias?, order?, notes? }] as listed on an object or group.
+  // Records list attributes either as "attributes" (ids or entries with overrides) or as plain "attribute_ids";
+  // "attributes" wins when both are present.
+  function readAttributeRefs(record) {
+    const source = Array.isArray(record.attributes) ? record.attributes : Array.isArray(record.attribute_ids) ? record.attribute_ids : [];
+    const refs = [];
+    source.forEach((entry) => {
+      const isEntry = entry !== null && typeof entry === 'object';
+      const id = isEntry ? entry.id : entry;
+      if (id === undefined || id === null || String(id).trim() === '') return;
+      const ref = { id: String(id) };
+      if (isEntry) {
+        ATTRIBUTE_OVERRIDE_KEYS.forEach((k) => {
+          if (entry[k] !== undefined && entry[k] !== null && entry[k] !== '') ref[k] = entry[k];
+        });
+      }
+      refs.push(ref);
+    });
+    return refs;
+  }
+
+  // The object's attribute refs in display order: attributes from its groups (ref.group = group id) first,
+  // then its own. An own entry for a group attribute overrides the group's settings for that attribute.
+  // Entries with an "order" come first, sorted by it.
+  function getAttributeRefsForObject(obj) {
+    if (!obj) return [];
+    const own = readAttributeRefs(obj);
+    const refs = [];
+    const indexById = new Map();
+    resolveGroupRefs(obj.attribute_group_ids).forEach((ref) => {
+      if (indexById.has(ref.id)) return;
+      indexById.set(ref.id, refs.length);
+      refs.push(ref);
+    });
+    own.forEach((ref) => {
+      if (indexById.has(ref.id)) {
+        refs[indexById.get(ref.id)] = { ...refs[indexById.get(ref.id)], ...ref };
+      } else {
+        indexById.set(ref.id, refs.length);
+        refs.push(ref);
+      }
+    });
+    const rank = (r) => (typeof r.order === 'number' ? r.order : Infinity);
+    return refs
+      .map((ref, i) => ({ ref, i }))
+      .sort((a, b) => rank(a.ref) - rank(b.ref) || a.i - b.i)
+      .map((x) => x.ref);
+  }
+
+  // Shared attribute definitions with the object's overrides merged on top
+  // (alias, required, order and notes; the shared record is returned as-is when there are none)
   function getAttributesForObject(obj) {
-    if (!obj || !obj.attribute_ids) return [];
-    return obj.attribute_ids.map((id) => attributeById[id]).filter(Boolean);
+    return getAttributeRefsForObject(obj)
+      .map(({ id, group, ...overrides }) => {
+        const shared = attributeById[id];
+        if (!shared) return null;
+        return Object.keys(overrides).length ? { ...shared, ...overrides } : shared;
+      })
+      .filter(Boolean);
   }
 
   function getObjectsForAttribute(attrId) {
@@ -163,31 +388,110 @@ const Catalog = (function () {
 
   return {
     loadCatalog,
+    normalizeCatalog,
+    loadReleases,
+    loadReleaseCatalog,
+    getActiveRelease,
     getAttributeById,
     getObjectById,
+    getAttributeGroups,
+    getAttributeGroupById,
+    getAttributeRefsForObject,
     getAttributesForObject,
+    getRelationships,
+    getRelationshipsForObject,
     getObjectsForAttribute,
     buildGithubIssueUrlForObject,
     buildGithubIssueUrlForAttribute,
   };
 })();
 
+// ====== FORM DRAFTS (localStorage) ======
+// Unsubmitted form contents, so a closed tab or a stray "Cancel" does not lose work.
+// One draft per form and record: "edit-object:<id>", "edit-attribute:<id>", "new-object", "new-attributes".
+// A draft is { form, id, title, base, values, saved_at }; values is whatever the form's capture() returned.
+const Drafts = (function () {
+  const STORAGE_KEY = 'catalog.drafts.v1';
+
+  function readAll() {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // localStorage can be disabled or full; drafts are best effort
+  function writeAll(all) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function keyOf(form, id) {
+    return id ? `${form}:${id}` : form;
+  }
+
+  function get(form, id) {
+    return readAll()[keyOf(form, id)] || null;
+  }
+
+  function save(form, id, draft) {
+    const all = readAll();
+    all[keyOf(form, id)] = { ...draft, form, id: id || '', saved_at: new Date().toISOString() };
+    return writeAll(all);
+  }
+
+  function remove(form, id) {
+    const all = readAll();
+    if (!(keyOf(form, id) in all)) return;
+    delete all[keyOf(form, id)];
+    writeAll(all);
+  }
+
+  // Newest first
+  function list() {
+    return Object.values(readAll()).sort((a, b) => String(b.saved_at).localeCompare(String(a.saved_at)));
+  }
+
+  return { get, save, remove, list };
+})();
+
 // ====== MAIN APP (tabs, lists, detail panels) ======
 document.addEventListener('DOMContentLoaded', async () => {
   // --- Elements ---
   const objectsTabBtn = document.getElementById('objectsTab');
   const attributesTabBtn = document.getElementById('attributesTab');
+  const healthTabBtn = document.getElementById('healthTab');
+  const changesTabBtn = document.getElementById('changesTab');
+  const graphTabBtn = document.getElementById('graphTab');
   const objectsView = document.getElementById('objectsView');
   const attributesView = document.getElementById('attributesView');
+  const healthView = document.getElementById('healthView');
+  const changesView = document.getElementById('changesView');
+  const graphView = document.getElementById('graphView');
 
   const objectSearchInput = document.getElementById('objectSearchInput');
   const attributeSearchInput = document.getElementById('attributeSearchInput');
 
   const objectListEl = document.getElementById('objectList');
+  const objectFacetsEl = document.getElementById('objectFacets');
   const attributeListEl = document.getElementById('attributeList');
 
   const objectDetailEl = document.getElementById('objectDetail');
   const attributeDetailEl = document.getElementById('attributeDetail');
+  const healthDetailEl = document.getElementById('healthDetail');
+  const changesDetailEl = document.getElementById('changesDetail');
+  const graphDetailEl = document.getElementById('graphDetail');
+
+  const draftsBtn = document.getElementById('draftsBtn');
+  const draftsCountEl = document.getElementById('draftsCount');
+  const draftsPanelEl = document.getElementById('draftsPanel');
+  const draftsListEl = document.getElementById('draftsList');
 
   // Track last viewed object so "Cancel" can return you to where you were.
   let lastSelectedObjectId = null;
@@ -195,6 +499,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Track last viewed attribute so list highlight + "Cancel" behave predictably.
   let lastSelectedAttributeId = null;
 
+  // Router state (see ROUTER section). Declared up here so renderers can call setRoute()
+  // even if they fire before the catalog finishes loading.
+  let applyingRoute = false;
+  const viewRoutes = { objects: ['objects'], attributes: ['attributes'], health: ['health'], changes: ['changes'], graph: ['graph'] };
+
   // --- Edit Fields for Suggest Object Change functionality ---
   // NOTE: OBJECT_EDIT_FIELDS drives BOTH "Suggest change" and "Submit new object" pages
   const OBJECT_EDIT_FIELDS = [
@@ -229,7 +538,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     { key: 'expected_value', label: 'Expected Input', type: 'text' }, // was "Example Expected Value"
 
     // Enumerations
-    { key: 'values', label: 'Allowed values (JSON array) — for enumerated types', type: 'json' },
+    { key: 'values', label: 'Allowed values — for enumerated types', type: 'json' },
+
+    // Storage constraints (see CatalogValidator.checkAttributeConstraints); parsed by parseAttributeFieldInput()
+    { key: 'length', label: 'Length (max characters, text)', type: 'integer' },
+    { key: 'precision', label: 'Precision (total digits, numbers)', type: 'integer' },
+    { key: 'scale', label: 'Scale (decimal places, numbers)', type: 'integer' },
+    { key: 'nullable', label: 'Nullable', type: 'boolean' },
+    { key: 'default', label: 'Default value', type: 'value' },
+    { key: 'min', label: 'Minimum (number or YYYY-MM-DD)', type: 'value' },
+    { key: 'max', label: 'Maximum (number or YYYY-MM-DD)', type: 'value' },
+    { key: 'pattern', label: 'Pattern (regular expression, whole value)', type: 'text' },
 
     // New fields
     { key: 'status', label: 'Status', type: 'text' },
@@ -305,21 +624,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     attributeDetailEl && attributeDetailEl.classList.add('hidden');
   }
 
-  function computeChanges(original, updated) {
-    const keys = new Set([...Object.keys(original || {}), ...Object.keys(updated || {})]);
-    const changes = [];
-    keys.forEach((k) => {
-      const a = original ? original[k] : undefined;
-      const b = updated ? updated[k] : undefined;
-      if (JSON.stringify(a) !== JSON.stringify(b)) {
-        changes.push({ key: k, from: a, to: b });
-      }
-    });
-    return changes;
+  // Historical releases are read-only: a change request made from a snapshot would patch the
+  // current catalog back to old values. Forms reached by deep link or "My drafts" show `fallback` instead.
+  function redirectIfHistorical(fallback) {
+    if (!Catalog.getActiveRelease()) return false;
+    fallback();
+    return true;
   }
 
-  function buildGithubIssueUrlForEditedObject(objectId, original, updated, changes) {
-    const title = encodeURIComponent(`Object change request: ${objectId}`);
+  // Change-request builders: { kind, id, title, body (Markdown), compactBody, data } handed to submitChangeRequest().
+  // compactBody leaves out the full JSON and is used when body is too long for an issue link.
+  function buildEditedObjectSubmission(objectId, original, updated, changes) {
+    const patch = changes.length ? CatalogPatch.buildRecordUpdatePatch('objects', allObjects, objectId, changes) : [];
 
     const bodyLines = [
       `## Suggested changes for object: \`${objectId}\``,
@@ -335,7 +651,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
 
-    bodyLines.push(
+    const jsonLines = [
       '',
       '---',
       '',
@@ -347,21 +663,32 @@ document.addEventListener('DOMContentLoaded', async () => {
       '### Updated object JSON',
       '```json',
       JSON.stringify(updated, null, 2),
-      '```'
-    );
-
-    const body = encodeURIComponent(bodyLines.join('\n'));
-    return `${GITHUB_NEW_ISSUE_BASE}?title=${title}&body=${body}`;
+      '```',
+    ];
+    const patchLines = patch.length ? ['', ...CatalogPatch.formatPatchSection(patch)] : [];
+
+    return {
+      kind: 'edit-object',
+      id: objectId,
+      title: `Object change request: ${objectId}`,
+      body: [...bodyLines, ...jsonLines, ...patchLines].join('\n'),
+      compactBody: [...bodyLines, ...patchLines].join('\n'),
+      data: { original, updated, changes, patch },
+    };
   }
 
-  function buildGithubIssueUrlForNewObject(objectObj, newAttributes = []) {
+  function buildNewObjectSubmission(objectObj, newAttributes = []) {
     const titleBase = objectObj.id || objectObj.title || 'New object request';
-    const title = encodeURIComponent(`New object request: ${titleBase}`);
+    const attrs = Array.isArray(newAttributes) ? newAttributes : [];
+    const patch = [
+      ...CatalogPatch.buildRecordAddPatch('attributes', attrs),
+      ...CatalogPatch.buildRecordAddPatch('objects', [objectObj]),
+    ];
 
     const bodyLines = [
       '## New object submission',
       '',
-      'Please review the object proposal below. If approved, add it to `data/catalog.json` under `objects` (or legacy `datasets`).',
+      'Please review the object proposal below. If approved, apply the catalog patch at the end of this issue (it adds the object and any new attributes).',
       '',
       '### Review checklist',
       '- [ ] ID is unique and follows naming conventions',
@@ -370,33 +697,39 @@ document.addEventListener('DOMContentLoaded', async () => {
       '- [ ] Geometry type is correct (if applicable)',
       '- [ ] Attribute IDs are valid (existing or proposed below)',
       '- [ ] Services/standards links are valid (if provided)',
-      '',
-      '---',
-      '',
-      '### Proposed object JSON',
-      '```json',
-      JSON.stringify(objectObj, null, 2),
-      '```',
     ];
 
-    if (Array.isArray(newAttributes) && newAttributes.length) {
-      bodyLines.push(
+    const jsonLines = ['', '---', '', '### Proposed object JSON', '```json', JSON.stringify(objectObj, null, 2), '```'];
+
+    if (attrs.length) {
+      jsonLines.push(
         '',
         '---',
         '',
         '### Proposed NEW attributes JSON (add under `attributes`)',
         '```json',
-        JSON.stringify(newAttributes, null, 2),
+        JSON.stringify(attrs, null, 2),
         '```'
       );
     }
 
-    const body = encodeURIComponent(bodyLines.join('\n'));
-    return `${GITHUB_NEW_ISSUE_BASE}?title=${title}&body=${body}`;
+    // The patch repeats the proposed records, so the compact body keeps only the patch
+    const patchLines = ['', ...CatalogPatch.formatPatchSection(patch)];
+
+    return {
+      kind: 'new-object',
+      id: objectObj.id || '',
+      title: `New object request: ${titleBase}`,
+      body: [...bodyLines, ...jsonLines, ...patchLines].join('\n'),
+      compactBody: [...bodyLines, '', '---', ...patchLines].join('\n'),
+      data: { object: objectObj, new_attributes: attrs, patch },
+    };
   }
 
-  function buildGithubIssueUrlForEditedAttribute(attrId, original, updated, changes) {
-    const title = encodeURIComponent(`Attribute change request: ${attrId}`);
+  // impact: see buildAttributeImpact(); a rename also re-points every reference to the attribute
+  function buildEditedAttributeSubmission(attrId, original, updated, changes, impact = null) {
+    const patch = changes.length ? CatalogPatch.buildRecordUpdatePatch('attributes', allAttributes, attrId, changes) : [];
+    if (patch.length && updated.id !== attrId) patch.push(...CatalogPatch.buildAttributeRenamePatch(catalogData, attrId, updated.id));
 
     const bodyLines = [
       `## Suggested changes for attribute: \`${attrId}\``,
@@ -412,7 +745,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
 
-    bodyLines.push(
+    const jsonLines = [
       '',
       '---',
       '',
@@ -424,25 +757,36 @@ document.addEventListener('DOMContentLoaded', async () => {
       '### Updated attribute JSON',
       '```json',
       JSON.stringify(updated, null, 2),
-      '```'
-    );
-
-    const body = encodeURIComponent(bodyLines.join('\n'));
-    return `${GITHUB_NEW_ISSUE_BASE}?title=${title}&body=${body}`;
+      '```',
+    ];
+    const impactLines = impact ? ['', ...formatAttributeImpactMarkdown(impact)] : [];
+    const patchLines = patch.length ? ['', ...CatalogPatch.formatPatchSection(patch)] : [];
+
+    return {
+      kind: 'edit-attribute',
+      id: attrId,
+      title: `Attribute change request: ${attrId}`,
+      body: [...bodyLines, ...impactLines, ...jsonLines, ...patchLines].join('\n'),
+      compactBody: [...bodyLines, ...impactLines, ...patchLines].join('\n'),
+      data: { original, updated, changes, impact, patch },
+    };
   }
 
-  function buildGithubIssueUrlForNewAttributes(payload) {
-    const title = encodeURIComponent(payload.title || 'New attribute(s) request');
+  function buildNewAttributesSubmission(payload) {
+    const patch = CatalogPatch.buildRecordAddPatch('attributes', payload.attributes);
 
     const bodyLines = [
       '## New attribute(s) submission',
       '',
-      'Please review the attribute proposal below. If approved, add it to `data/catalog.json` under `attributes`.',
+      'Please review the attribute proposal below. If approved, apply the catalog patch at the end of this issue.',
       '',
       '### Review checklist',
       '- [ ] ID(s) are unique and follow naming conventions',
       '- [ ] Type/definition are clear',
       '- [ ] Enumerations are complete (if applicable)',
+    ];
+
+    const jsonLines = [
       '',
       '---',
       '',
@@ -451,41 +795,496 @@ document.addEventListener('DOMContentLoaded', async () => {
       JSON.stringify(payload.attributes, null, 2),
       '```',
     ];
+    const notesLines = payload.notes ? ['', '### Notes / context', payload.notes] : [];
+    const patchLines = ['', ...CatalogPatch.formatPatchSection(patch)];
+
+    return {
+      kind: 'new-attributes',
+      id: payload.attributes.length === 1 ? payload.attributes[0].id : '',
+      title: payload.title || 'New attribute(s) request',
+      body: [...bodyLines, ...jsonLines, ...notesLines, ...patchLines].join('\n'),
+      compactBody: [...bodyLines, ...notesLines, '', '---', ...patchLines].join('\n'),
+      data: { attributes: payload.attributes, notes: payload.notes || '', patch },
+    };
+  }
 
-    if (payload.notes) {
-      bodyLines.push('', '### Notes / context', payload.notes);
-    }
+  // Hand a change request to the adapter configured in catalog.json (ui.submission)
+  async function submitChangeRequest(submission) {
+    const config = getSubmissionConfig(catalogData);
+    const adapter = getSubmissionAdapter(config.adapter);
+    const adapterConfig = config[adapter.key] || {};
+    try {
+      if (!adapter.buildUrl) {
+        const result = await adapter.submit(submission, adapterConfig);
+        if (result && result.message) alert(result.message);
+        return;
+      }
 
-    const body = encodeURIComponent(bodyLines.join('\n'));
-    return `${GITHUB_NEW_ISSUE_BASE}?title=${title}&body=${body}`;
+      // URL-based adapters: fall back to a shorter body when the link would be too long
+      const fitted = fitSubmissionToUrl(adapter, submission, adapterConfig);
+      // Copy before opening the tracker, while the click still counts as a user gesture
+      const copied = fitted.level === 'full' ? Promise.resolve(false) : copyTextToClipboard(submission.body);
+      const fileName = submissionFileName(submission);
+      if (fitted.level === 'stub') {
+        downloadTextFile(JSON.stringify(buildSubmissionPayload(submission), null, 2), fileName);
+      }
+
+      const result = await adapter.submit(fitted.submission, adapterConfig);
+      const messages = [];
+      if (result && result.message) messages.push(result.message);
+      if (fitted.level !== 'full') {
+        const wasCopied = await copied;
+        messages.push(
+          fitted.level === 'compact'
+            ? 'This request was too large for a link, so the issue only contains the summary and catalog patch.'
+            : `This request was too large for a link. The full request was saved as ${fileName} — please attach it to the issue.`
+        );
+        if (wasCopied) messages.push('The complete text is on your clipboard; paste it as a comment to include the full JSON.');
+        else if (fitted.level === 'compact') {
+          downloadTextFile(JSON.stringify(buildSubmissionPayload(submission), null, 2), fileName);
+          messages.push(`The complete request was saved as ${fileName}; attach it to the issue to include the full JSON.`);
+        }
+      }
+      if (messages.length) alert(messages.join('\n\n'));
+    } catch (err) {
+      alert(`Could not submit the change request via ${adapter.label}: ${err.message}`);
+    }
   }
 
   // ===========================
   // TAB SWITCHING
   // ===========================
+  function showView(activeView, activeTabBtn) {
+    [
+      [objectsView, objectsTabBtn],
+      [attributesView, attributesTabBtn],
+      [healthView, healthTabBtn],
+      [changesView, changesTabBtn],
+      [graphView, graphTabBtn],
+    ].forEach(([view, tabBtn]) => {
+      if (view) view.classList.toggle('hidden', view !== activeView);
+      if (tabBtn) tabBtn.classList.toggle('active', tabBtn === activeTabBtn);
+    });
+  }
+
   function showObjectsView() {
-    objectsView.classList.remove('hidden');
-    attributesView.classList.add('hidden');
-    objectsTabBtn.classList.add('active');
-    attributesTabBtn.classList.remove('active');
+    showView(objectsView, objectsTabBtn);
   }
 
   function showAttributesView() {
-    attributesView.classList.remove('hidden');
-    objectsView.classList.add('hidden');
-    attributesTabBtn.classList.add('active');
-    objectsTabBtn.classList.remove('active');
+    showView(attributesView, attributesTabBtn);
+  }
+
+  function showHealthView() {
+    showView(healthView, healthTabBtn);
+  }
+
+  function showChangesView() {
+    showView(changesView, changesTabBtn);
+  }
+
+  function showGraphView() {
+    showView(graphView, graphTabBtn);
+  }
+
+  // Tabs restore whatever each view was last showing (detail, edit form, ...)
+  if (objectsTabBtn) {
+    objectsTabBtn.addEventListener('click', () => {
+      showObjectsView();
+      setRoute(viewRoutes.objects);
+    });
+  }
+  if (attributesTabBtn) {
+    attributesTabBtn.addEventListener('click', () => {
+      showAttributesView();
+      setRoute(viewRoutes.attributes);
+    });
+  }
+  if (healthTabBtn) {
+    healthTabBtn.addEventListener('click', () => {
+      showHealthView();
+      renderHealthDashboard();
+    });
+  }
+  if (changesTabBtn) {
+    changesTabBtn.addEventListener('click', () => {
+      showChangesView();
+      renderChangesView();
+    });
+  }
+  if (graphTabBtn) {
+    graphTabBtn.addEventListener('click', () => {
+      showGraphView();
+      renderGraphView(viewRoutes.graph[1] || null);
+    });
+  }
+
+  // ===========================
+  // FORM DRAFTS (autosave + restore)
+  // ===========================
+  // Forms render a <div data-draft-notice> and register a controller for their panel via setupFormDraft().
+  // The panel's input/change listeners save through it; a re-render that drops the notice retires it.
+  const formDraftControllers = new Map();
+
+  [objectDetailEl, attributeDetailEl].forEach((panelEl) => {
+    if (!panelEl) return;
+    const onEdit = () => {
+      const ctl = formDraftControllers.get(panelEl);
+      if (!ctl) return;
+      if (!panelEl.contains(ctl.noticeEl)) formDraftControllers.delete(panelEl);
+      else ctl.save();
+    };
+    panelEl.addEventListener('input', onEdit);
+    panelEl.addEventListener('change', onEdit);
+  });
+
+  // First element wins for repeated keys, like the querySelector() reads in the submit handlers
+  function readFormValues(rootEl, attrName) {
+    const values = {};
+    rootEl.querySelectorAll(`[${attrName}]`).forEach((el) => {
+      const k = el.getAttribute(attrName);
+      if (!(k in values)) values[k] = el.value;
+    });
+    return values;
+  }
+
+  // Fires "input" on changed fields so widgets layered over them (enum values editor) follow along
+  function writeFormValues(rootEl, attrName, values) {
+    rootEl.querySelectorAll(`[${attrName}]`).forEach((el) => {
+      const k = el.getAttribute(attrName);
+      if (!values || !Object.prototype.hasOwnProperty.call(values, k) || el.value === values[k]) return;
+      el.value = values[k];
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+  }
+
+  function formatDraftTime(iso) {
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? '' : d.toLocaleString();
+  }
+
+  // options:
+  //   form, id        draft key (see Drafts)
+  //   titleFor(v)     label for "My drafts"
+  //   base            record the edit started from (warns when a draft was made against an older version)
+  //   capture()       current form values
+  //   restore(v)      put saved values back into the form (may re-render it with draftMode 'restored')
+  //   draftMode       'offer' (ask before restoring), 'restore' (restore right away) or 'restored'
+  // Returns { save, discard } for forms that change state outside input events, and to drop the draft on submit.
+  function setupFormDraft(hostEl, { form, id = '', titleFor, base, capture, restore, draftMode = 'offer' }) {
+    const noticeEl = hostEl.querySelector('[data-draft-notice]');
+    const baseJson = base === undefined ? undefined : JSON.stringify(base);
+    // Restored new-record forms have no meaningful "untouched" state: keep the draft until submit/discard
+    const pristine = draftMode === 'restored' ? null : JSON.stringify(capture());
+    let pending = draftMode === 'restored' ? null : Drafts.get(form, id);
+
+    function showStatus(text) {
+      if (!noticeEl) return;
+      noticeEl.className = 'draft-notice draft-notice-status';
+      noticeEl.textContent = text;
+    }
+
+    function save() {
+      if (pending) pending = null;
+      const values = capture();
+      if (JSON.stringify(values) === pristine) {
+        Drafts.remove(form, id);
+        if (noticeEl) noticeEl.className = 'hidden';
+      } else if (Drafts.save(form, id, { title: titleFor(values), base: baseJson, values })) {
+        showStatus(`Draft saved ${new Date().toLocaleTimeString()} — it stays in this browser until you submit or discard it.`);
+      } else {
+        showStatus('Could not save a draft: browser storage is full or disabled. Submit or copy your changes before leaving this page.');
+      }
+      updateDraftsButton();
+    }
+
+    function discard() {
+      pending = null;
+      Drafts.remove(form, id);
+      updateDraftsButton();
+    }
+
+    const ctl = { noticeEl, save, discard };
+    if (noticeEl) formDraftControllers.set(hostEl, ctl);
+
+    if (pending && draftMode === 'restore') {
+      const values = pending.values;
+      pending = null;
+      restore(values);
+    } else if (pending && noticeEl) {
+      const stale = baseJson !== undefined && pending.base !== undefined && pending.base !== baseJson;
+      noticeEl.className = 'draft-notice';
+      noticeEl.innerHTML = `
+        <span>
+          You have an unsaved draft from ${escapeHtml(formatDraftTime(pending.saved_at))}.
+          ${stale ? '<strong>The catalog record has changed since then; review the fields before submitting.</strong>' : ''}
+          Editing without restoring replaces it.
+        </span>
+        <button type="button" class="btn primary" data-draft-restore>Restore draft</button>
+        <button type="button" class="btn" data-draft-discard>Discard draft</button>
+      `;
+      noticeEl.querySelector('[data-draft-restore]').addEventListener('click', () => {
+        const values = pending ? pending.values : null;
+        pending = null;
+        noticeEl.className = 'hidden';
+        noticeEl.innerHTML = '';
+        if (values) restore(values);
+      });
+      noticeEl.querySelector('[data-draft-discard]').addEventListener('click', () => {
+        discard();
+        noticeEl.className = 'hidden';
+        noticeEl.innerHTML = '';
+      });
+    }
+
+    return ctl;
   }
 
-  if (objectsTabBtn) objectsTabBtn.addEventListener('click', showObjectsView);
-  if (attributesTabBtn) attributesTabBtn.addEventListener('click', showAttributesView);
+  // ===========================
+  // ENUMERATED VALUES EDITOR
+  // ===========================
+  // Table editor layered over a values JSON textarea. The textarea stays the form field (submit
+  // handlers and drafts read it); the editor writes JSON into it and fires "input". "Edit as JSON"
+  // shows the textarea again, and outside writes to it (typing, draft restore) are read back.
+  function mountEnumValuesEditor(textareaEl, { excludeAttrId } = {}) {
+    if (!textareaEl || textareaEl.__enumEditor) return;
+    textareaEl.__enumEditor = true;
+
+    let rows = [];
+    let writing = false;
+
+    function rowsFromValues(values) {
+      return (values || []).map((v) => {
+        const { code, label, description, ...extra } = v && typeof v === 'object' ? v : { code: v };
+        return {
+          code: code === undefined || code === null ? '' : String(code),
+          keepText: typeof code === 'string',
+          label: label === undefined || label === null ? '' : String(label),
+          description: description === undefined || description === null ? '' : String(description),
+          extra,
+        };
+      });
+    }
+
+    function valuesFromRows() {
+      return rows
+        .filter((r) => r.code.trim() || r.label.trim() || r.description.trim())
+        .map((r) => ({
+          code: parseEnumCode(r.code, r.keepText),
+          label: r.label.trim(),
+          description: r.description.trim() || undefined,
+          ...r.extra,
+        }));
+    }
+
+    // Returns false (and leaves rows alone) when the textarea holds something other than a JSON array
+    function readTextarea() {
+      const parsed = tryParseJson(textareaEl.value);
+      if (parsed === null) {
+        rows = [];
+        return true;
+      }
+      if (parsed.__parse_error__ || !Array.isArray(parsed)) return false;
+      rows = rowsFromValues(parsed);
+      return true;
+    }
+
+    function writeTextarea() {
+      const values = valuesFromRows();
+      writing = true;
+      textareaEl.value = values.length ? JSON.stringify(values, null, 2) : '';
+      textareaEl.dispatchEvent(new Event('input', { bubbles: true }));
+      writing = false;
+    }
+
+    const importOptions = (allAttributes || [])
+      .filter((a) => a && a.id !== excludeAttrId && Array.isArray(a.values) && a.values.length)
+      .map(
+        (a) =>
+          `<option value="${escapeHtml(a.id)}">${escapeHtml(a.id)}${a.label ? ` — ${escapeHtml(a.label)}` : ''} (${a.values.length})</option>`
+      )
+      .join('');
+
+    const root = document.createElement('div');
+    root.className = 'enum-editor';
+    root.innerHTML = `
+      <div class="enum-editor-toolbar">
+        <select class="toolbar-select" data-enum-import aria-label="Copy values from another attribute">
+          <option value="">Copy values from…</option>
+          ${importOptions}
+        </select>
+        <button type="button" class="btn" data-enum-paste-toggle>Paste from spreadsheet</button>
+        <button type="button" class="btn" data-enum-json-toggle>Edit as JSON</button>
+      </div>
+      <div class="enum-editor-paste hidden" data-enum-paste>
+        <textarea class="object-edit-input" rows="5" data-enum-paste-text
+          placeholder="One value per row: code, label, description (copied cells from Excel are tab-separated)"></textarea>
+        <div class="enum-editor-toolbar">
+          <label><input type="checkbox" data-enum-paste-replace /> Replace current values</label>
+          <button type="button" class="btn primary" data-enum-paste-apply>Add rows</button>
+        </div>
+      </div>
+      <div class="form-warning" data-enum-json-error style="display:none;">
+        The JSON below is not an array of values; fix it or clear it to use the table.
+      </div>
+      <div data-enum-table-wrap>
+        <table class="enum-editor-table">
+          <thead>
+            <tr><th>Code</th><th>Label</th><th>Description</th><th></th></tr>
+          </thead>
+          <tbody data-enum-rows></tbody>
+        </table>
+        <button type="button" class="btn" data-enum-add>+ Add value</button>
+      </div>
+      <div class="form-warning" data-enum-dupes style="display:none;"></div>
+    `;
+    textareaEl.insertAdjacentElement('beforebegin', root);
+    textareaEl.classList.add('hidden');
+
+    const rowsEl = root.querySelector('[data-enum-rows]');
+    const tableWrap = root.querySelector('[data-enum-table-wrap]');
+    const dupesEl = root.querySelector('[data-enum-dupes]');
+    const jsonErrorEl = root.querySelector('[data-enum-json-error]');
+    const pasteEl = root.querySelector('[data-enum-paste]');
+    const jsonToggle = root.querySelector('[data-enum-json-toggle]');
+    let jsonMode = false;
+
+    function markDuplicates() {
+      const dupes = new Set(findDuplicateEnumCodes(rows.map((r) => ({ code: r.code }))));
+      rowsEl.querySelectorAll('input[data-enum-field="code"]').forEach((input) => {
+        input.classList.toggle('is-duplicate', dupes.has(input.value.trim()));
+      });
+      const noCode = rows.filter((r) => !r.code.trim() && (r.label.trim() || r.description.trim())).length;
+      const messages = [];
+      if (dupes.size) messages.push(`⚠️ Duplicate code(s): ${Array.from(dupes).join(', ')}. Each code must be unique.`);
+      if (noCode) messages.push(`⚠️ ${noCode} row(s) have no code. Every value needs one.`);
+      dupesEl.style.display = messages.length ? '' : 'none';
+      dupesEl.textContent = messages.join(' ');
+    }
+
+    function renderRows() {
+      rowsEl.innerHTML = rows.length
+        ? rows
+            .map(
+              (r, idx) => `
+            <tr>
+              <td><input class="object-edit-input" type="text" data-enum-row="${idx}" data-enum-field="code" value="${escapeHtml(r.code)}" /></td>
+              <td><input class="object-edit-input" type="text" data-enum-row="${idx}" data-enum-field="label" value="${escapeHtml(r.label)}" /></td>
+              <td><input class="object-edit-input" type="text" data-enum-row="${idx}" data-enum-field="description" value="${escapeHtml(r.description)}" /></td>
+              <td class="enum-editor-row-actions">
+                <button type="button" class="icon-button" data-enum-move="${idx}" data-dir="-1" aria-label="Move up" ${idx === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="icon-button" data-enum-move="${idx}" data-dir="1" aria-label="Move down" ${idx === rows.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="icon-button" data-enum-remove="${idx}" aria-label="Remove value">✕</button>
+              </td>
+            </tr>`
+            )
+            .join('')
+        : `<tr><td colspan="4" class="enum-editor-empty">No values yet.</td></tr>`;
+      markDuplicates();
+    }
+
+    function setJsonMode(on) {
+      if (!on && !readTextarea()) {
+        alert('The JSON is not a valid array of values. Fix it before switching back to the table.');
+        return;
+      }
+      jsonMode = on;
+      textareaEl.classList.toggle('hidden', !on);
+      tableWrap.classList.toggle('hidden', on);
+      jsonErrorEl.style.display = 'none';
+      jsonToggle.textContent = on ? 'Edit as table' : 'Edit as JSON';
+      if (!on) renderRows();
+    }
+
+    root.addEventListener('input', (e) => {
+      const el = e.target;
+      if (!el.hasAttribute('data-enum-field')) return;
+      const row = rows[Number(el.getAttribute('data-enum-row'))];
+      if (!row) return;
+      row[el.getAttribute('data-enum-field')] = el.value;
+      writeTextarea();
+      markDuplicates();
+    });
+
+    root.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn || !root.contains(btn)) return;
+
+      if (btn.hasAttribute('data-enum-add')) {
+        rows.push({ code: '', keepText: false, label: '', description: '', extra: {} });
+        renderRows();
+        const inputs = rowsEl.querySelectorAll('input[data-enum-field="code"]');
+        if (inputs.length) inputs[inputs.length - 1].focus();
+      } else if (btn.hasAttribute('data-enum-remove')) {
+        rows.splice(Number(btn.getAttribute('data-enum-remove')), 1);
+        renderRows();
+        writeTextarea();
+      } else if (btn.hasAttribute('data-enum-move')) {
+        const idx = Number(btn.getAttribute('data-enum-move'));
+        const to = idx + Number(btn.getAttribute('data-dir'));
+        if (to < 0 || to >= rows.length) return;
+        [rows[idx], rows[to]] = [rows[to], rows[idx]];
+        renderRows();
+        writeTextarea();
+      } else if (btn.hasAttribute('data-enum-paste-toggle')) {
+        pasteEl.classList.toggle('hidden');
+      } else if (btn.hasAttribute('data-enum-paste-apply')) {
+        const pasted = parseEnumValuesTable(root.querySelector('[data-enum-paste-text]').value).map((v) => ({
+          ...v,
+          keepText: false,
+          extra: {},
+        }));
+        if (!pasted.length) return;
+        if (jsonMode) setJsonMode(false);
+        rows = root.querySelector('[data-enum-paste-replace]').checked ? pasted : [...rows, ...pasted];
+        root.querySelector('[data-enum-paste-text]').value = '';
+        pasteEl.classList.add('hidden');
+        renderRows();
+        writeTextarea();
+      } else if (btn.hasAttribute('data-enum-json-toggle')) {
+        setJsonMode(!jsonMode);
+      }
+    });
+
+    root.querySelector('[data-enum-import]').addEventListener('change', (e) => {
+      const source = Catalog.getAttributeById(e.target.value);
+      e.target.value = '';
+      if (!source || !Array.isArray(source.values)) return;
+      if (valuesFromRows().length && !confirm(`Replace the current values with the ${source.values.length} values of "${source.id}"?`)) {
+        return;
+      }
+      if (jsonMode) setJsonMode(false);
+      rows = rowsFromValues(deepClone(source.values));
+      renderRows();
+      writeTextarea();
+    });
+
+    // Typing in JSON mode, or a restored draft written into the textarea
+    textareaEl.addEventListener('input', () => {
+      if (writing) return;
+      const ok = readTextarea();
+      if (!ok && !jsonMode) setJsonMode(true);
+      jsonErrorEl.style.display = ok || !textareaEl.value.trim() ? 'none' : '';
+      if (ok && !jsonMode) renderRows();
+    });
+
+    if (readTextarea()) renderRows();
+    else {
+      setJsonMode(true);
+      jsonErrorEl.style.display = '';
+    }
+  }
 
   // --- Edit mode renderer ---
-  function renderObjectEditForm(objectId) {
+  function renderObjectEditForm(objectId, { draftMode = 'offer' } = {}) {
     if (!objectDetailEl) return;
 
     const obj = Catalog.getObjectById(objectId);
     if (!obj) return;
+    if (redirectIfHistorical(() => renderObjectDetail(objectId))) return;
+
+    lastSelectedObjectId = objectId;
+    setRoute(['objects', objectId, 'edit']);
 
     const original = deepClone(obj);
     const draft = deepClone(obj);
@@ -495,6 +1294,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     html += `<h2>Editing: ${escapeHtml(obj.title || obj.id)}</h2>`;
     if (obj.description) html += `<p>${escapeHtml(obj.description)}</p>`;
+    html += `<div class="hidden" data-draft-notice></div>`;
 
     html += `<div class="card card-meta" id="objectEditCard">`;
     html += `<div class="object-edit-actions">
@@ -537,12 +1337,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     } else {
       html += '<ul>';
       attrs.forEach((attr) => {
-        html += `
-          <li>
-            <button type="button" class="link-button" data-attr-id="${escapeHtml(attr.id)}">
-              ${escapeHtml(attr.id)} – ${escapeHtml(attr.label || '')}
-            </button>
-          </li>`;
+        html += objectAttributeItemHtml(attr);
       });
       html += '</ul>';
     }
@@ -574,6 +1369,17 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     });
 
+    const formDraft = setupFormDraft(objectDetailEl, {
+      form: 'edit-object',
+      id: objectId,
+      titleFor: () => `Edit object: ${obj.title || objectId}`,
+      base: original,
+      capture: () => readFormValues(objectDetailEl, 'data-edit-key'),
+      restore: (values) => writeFormValues(objectDetailEl, 'data-edit-key', values),
+      draftMode,
+    });
+
+    // Cancel keeps the draft (see "My drafts")
     const cancelBtn = objectDetailEl.querySelector('button[data-edit-cancel]');
     if (cancelBtn) cancelBtn.addEventListener('click', () => renderObjectDetail(objectId));
 
@@ -597,20 +1403,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         const origCompact = compactObject(original);
         const changes = computeChanges(origCompact, updated);
 
-        const issueUrl = buildGithubIssueUrlForEditedObject(objectId, origCompact, updated, changes);
+        const submission = buildEditedObjectSubmission(objectId, origCompact, updated, changes);
+        formDraft.discard();
 
         // Return UI to normal view right away
         renderObjectDetail(objectId);
 
-        // Then open GitHub issue
-        window.open(issueUrl, '_blank', 'noopener');
+        // Then hand off to the configured submission backend
+        submitChangeRequest(submission);
       });
     }
   }
 
-  function renderNewAttributeCreateForm(prefill = {}) {
+  function renderNewAttributeCreateForm(prefill = {}, { draftMode = 'offer' } = {}) {
     const hostEl = attributeDetailEl || objectDetailEl;
     if (!hostEl) return;
+    if (redirectIfHistorical(goBackToAttributesListOrFirst)) return;
+
+    setRoute(['attributes', 'new']);
 
     const NEW_ATTR_PLACEHOLDERS =
       (catalogData && catalogData.ui && catalogData.ui.placeholders && catalogData.ui.placeholders.new_attribute) || {};
@@ -637,6 +1447,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     html += `<h2>Add a new attribute</h2>`;
     html += `<p class="modal-help">This will open a pre-filled GitHub Issue for review/approval by the catalog owner.</p>`;
+    html += `<div class="hidden" data-draft-notice></div>`;
 
     html += `
       <div class="card card-meta">
@@ -665,9 +1476,18 @@ document.addEventListener('DOMContentLoaded', async () => {
       const k = f.key;
       let val = '';
       if (k === 'values') val = draft.values_json || '';
-      else val = draft[k] === undefined ? '' : String(draft[k] || '');
+      else val = draft[k] === undefined || draft[k] === null ? '' : String(draft[k]);
 
-      if (f.type === 'textarea' || f.type === 'json') {
+      if (f.type === 'boolean') {
+        html += `
+          <div class="object-edit-row">
+            <label class="object-edit-label">${escapeHtml(f.label)}</label>
+            <select class="object-edit-input" data-new-attr-key="${escapeHtml(k)}">
+              ${booleanFieldOptions(val)}
+            </select>
+          </div>
+        `;
+      } else if (f.type === 'textarea' || f.type === 'json') {
         html += `
           <div class="object-edit-row">
             <label class="object-edit-label">${escapeHtml(f.label)}</label>
@@ -722,6 +1542,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     staggerCards(hostEl);
     animatePanel(hostEl);
 
+    mountEnumValuesEditor(hostEl.querySelector('textarea[data-new-attr-key="values"]'));
+
     const cancelBtn = hostEl.querySelector('button[data-new-attr-cancel]');
     if (cancelBtn) cancelBtn.addEventListener('click', goBackToAttributesListOrFirst);
 
@@ -738,7 +1560,28 @@ document.addEventListener('DOMContentLoaded', async () => {
           const active = x.getAttribute('data-new-attr-mode') === mode;
           x.classList.toggle('primary', active);
         });
+        formDraft.save();
+      });
+    });
+
+    // Same shape as the prefill argument, so restoring is a re-render
+    function captureNewAttributeDraft() {
+      const values = { mode: bulkCard && bulkCard.style.display !== 'none' ? 'bulk' : 'single' };
+      Object.entries(readFormValues(hostEl, 'data-new-attr-key')).forEach(([k, v]) => {
+        values[k === 'values' ? 'values_json' : k] = v;
       });
+      const bulk = readFormValues(hostEl, 'data-new-attr-bulk');
+      values.bulk_json = bulk.json || '';
+      values.bulk_notes = bulk.notes || '';
+      return values;
+    }
+
+    const formDraft = setupFormDraft(hostEl, {
+      form: 'new-attributes',
+      titleFor: (v) => (v.mode === 'bulk' ? 'New attributes (bulk JSON)' : `New attribute: ${v.id || 'untitled'}`),
+      capture: captureNewAttributeDraft,
+      restore: (values) => renderNewAttributeCreateForm(values, { draftMode: 'restored' }),
+      draftMode,
     });
 
     const submitBtn = hostEl.querySelector('button[data-new-attr-submit]');
@@ -798,12 +1641,33 @@ document.addEventListener('DOMContentLoaded', async () => {
                 alert('Enumerated values must be a JSON array of objects like {code,label,description}.');
                 return;
               }
+              const dupes = findDuplicateEnumCodes(parsedValues);
+              if (dupes.length) {
+                alert(`Enumerated values have duplicate codes: ${dupes.join(', ')}`);
+                return;
+              }
+              const noCode = findEnumValuesWithoutCode(parsedValues);
+              if (noCode.length) {
+                alert(`Every enumerated value needs a code. Missing for: ${noCode.join(', ')}`);
+                return;
+              }
               values = parsedValues || [];
             } else {
               values = [];
             }
           }
 
+          const constraints = {};
+          for (const key of CatalogValidator.CONSTRAINT_KEYS) {
+            const def = ATTRIBUTE_EDIT_FIELDS.find((x) => x.key === key);
+            const parsed = parseAttributeFieldInput(def.type, getVal(key), def.label);
+            if (parsed.error) {
+              alert(parsed.error);
+              return;
+            }
+            constraints[key] = parsed.value;
+          }
+
           const attrObj = compactObject({
             id,
             label,
@@ -811,6 +1675,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             definition,
             expected_value: expectedValueRaw || undefined,
             values,
+            ...constraints,
             status: status || undefined,
             data_standard: dataStandard || undefined,
             notes: notes || undefined,
@@ -830,6 +1695,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           alert('One or more attribute objects are missing an "id" attribute.');
           return;
         }
+        if (!confirmAttributeConstraints(attributesPayload)) return;
 
         const payload = {
           title:
@@ -840,12 +1706,12 @@ document.addEventListener('DOMContentLoaded', async () => {
           notes,
         };
 
-        const issueUrl = buildGithubIssueUrlForNewAttributes(payload);
+        const submission = buildNewAttributesSubmission(payload);
+        formDraft.discard();
 
         goBackToAttributesListOrFirst();
 
-        const w = window.open(issueUrl, '_blank', 'noopener');
-        if (!w) alert('Popup blocked — please allow popups to open the GitHub Issue.');
+        submitChangeRequest(submission);
       });
     }
   }
@@ -854,8 +1720,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   // -- BEGIN RENDER NEW OBJECT CREATE FORM FUNCTION ----//  
   // ----------------------------------------------------//
 
-  function renderNewObjectCreateForm(prefill = {}) {
+  function renderNewObjectCreateForm(prefill = {}, { draftMode = 'offer' } = {}) {
     if (!objectDetailEl) return;
+    if (redirectIfHistorical(goBackToLastObjectOrList)) return;
+
+    setRoute(['objects', 'new']);
 
     const NEW_OBJECT_PLACEHOLDERS =
       (catalogData && catalogData.ui && catalogData.ui.placeholders && catalogData.ui.placeholders.new_object) ||
@@ -934,6 +1803,38 @@ document.addEventListener('DOMContentLoaded', async () => {
       .join('');
 
 
+    html += `<div class="hidden" data-draft-notice></div>`;
+
+    // =========================================================
+    // START FROM CARD: attribute template or existing object
+    // =========================================================
+    const templateOptions = Catalog.getAttributeGroups()
+      .map((g) => {
+        const count = Catalog.getAttributeRefsForObject({ attribute_group_ids: [g.id] }).length;
+        return `<option value="group:${escapeHtml(g.id)}">${escapeHtml(g.label || g.id)} (${count} attributes)</option>`;
+      })
+      .join('');
+    const cloneOptions = (allObjects || [])
+      .filter((o) => o && o.id)
+      .map((o) => `<option value="object:${escapeHtml(o.id)}">${escapeHtml(o.title || o.id)} (${escapeHtml(o.id)})</option>`)
+      .join('');
+
+    html += `
+    <div class="card card-meta" id="newObjectStartCard">
+      <div class="object-edit-row" style="margin-bottom:0.5rem;">
+        <label class="object-edit-label">Start from (optional)</label>
+        <select class="object-edit-input" data-new-obj-start-from>
+          <option value="">Choose a template or an object to clone…</option>
+          ${templateOptions ? `<optgroup label="Attribute templates">${templateOptions}</optgroup>` : ''}
+          <optgroup label="Clone an existing object">${cloneOptions}</optgroup>
+        </select>
+      </div>
+      <div class="form-hint" data-new-obj-start-status>
+        Adds the template's or object's attributes to this request and fills in empty fields. Name, Catalog ID and Database Object Name are never copied.
+      </div>
+    </div>
+  `;
+
     // =========================================================
     // HEADER CARD: Name + Definition (boxed like other fields)
     // =========================================================
@@ -1417,6 +2318,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateIdStatus();
     updateObjnameStatus();
 
+    // Set up after the attribute widgets below; they save it when chips or new attributes change
+    let formDraft = null;
+
     // ---------- Attributes UI wiring (UNCHANGED) ----------
     const selectedAttrsEl = objectDetailEl.querySelector('[data-new-obj-selected-attrs]');
     const existingAttrInput = objectDetailEl.querySelector('[data-new-obj-existing-attr-input]');
@@ -1496,6 +2400,7 @@ document.addEventListener('DOMContentLoaded', async () => {
           })
           .join('')
         : `<span style="color: var(--text-muted);">None selected yet.</span>`;
+      if (formDraft) formDraft.save();
 
       // Remove handler
       selectedAttrsEl.querySelectorAll('button[data-remove-attr-id]').forEach((b) => {
@@ -1599,6 +2504,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     function renderNewAttributesForms() {
       if (!newAttrsHost) return;
+      if (formDraft) formDraft.save();
       const arr = draft.new_attributes || [];
       if (!arr.length) {
         newAttrsHost.innerHTML = '';
@@ -1658,7 +2564,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             </div>
 
             <div class="object-edit-row">
-              <label class="object-edit-label">Allowed values (JSON array) — only if type = enumerated</label>
+              <label class="object-edit-label">Allowed values — only if type = enumerated</label>
               <textarea class="object-edit-input"
                 data-new-attr-idx="${safeIdx}" data-new-attr-key="values_json"
                 placeholder="${attrPlaceholderFor(
@@ -1680,6 +2586,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         })
         .join('');
 
+      newAttrsHost.querySelectorAll('textarea[data-new-attr-key="values_json"]').forEach((el) => mountEnumValuesEditor(el));
+
       newAttrsHost.querySelectorAll('button[data-remove-new-attr]').forEach((b) => {
         b.addEventListener('click', () => {
           // ✅ Preserve all current input values first
@@ -1726,7 +2634,72 @@ document.addEventListener('DOMContentLoaded', async () => {
     renderSelectedAttrChips();
     renderNewAttributesForms();
 
-    // Cancel
+    // Same shape as the prefill argument, so restoring is a re-render
+    function captureNewObjectDraft() {
+      syncNewAttributesFromUI();
+      return {
+        ...readFormValues(objectDetailEl, 'data-new-obj-key'),
+        attribute_ids: (draft.attribute_ids || []).slice(),
+        new_attributes: deepClone(draft.new_attributes || []),
+      };
+    }
+
+    formDraft = setupFormDraft(objectDetailEl, {
+      form: 'new-object',
+      titleFor: (v) => `New object: ${v.title || v.id || 'untitled'}`,
+      capture: captureNewObjectDraft,
+      restore: (values) => renderNewObjectCreateForm(values, { draftMode: 'restored' }),
+      draftMode,
+    });
+
+    // "Start from": add a template's or an existing object's attributes and fill empty metadata fields.
+    // Re-renders with the merged values; the bubbling "change" then saves them as the draft.
+    const startFromSelect = objectDetailEl.querySelector('select[data-new-obj-start-from]');
+    if (startFromSelect) {
+      startFromSelect.addEventListener('change', () => {
+        const value = startFromSelect.value;
+        const kind = value.slice(0, value.indexOf(':'));
+        const sourceId = value.slice(value.indexOf(':') + 1);
+        const source = kind === 'group' ? Catalog.getAttributeGroupById(sourceId) : Catalog.getObjectById(sourceId);
+        if (!source) return;
+
+        const values = captureNewObjectDraft();
+        const sourceAttrIds = Catalog.getAttributeRefsForObject(
+          kind === 'group' ? { attribute_group_ids: [sourceId] } : source
+        ).map((r) => r.id);
+        // Templates carry metadata in object_defaults. Identity fields (title, id, objname) are never copied.
+        const metadataSource = kind === 'group' ? source.object_defaults || {} : source;
+        const metadata = Object.fromEntries(
+          ['description', 'geometry_type', 'topics', 'access_level', 'data_standard', 'notes']
+            .filter((k) => kind === 'group' || k !== 'notes')
+            .map((k) => [k, metadataSource[k]])
+        );
+
+        const filled = [];
+        Object.keys(metadata).forEach((k) => {
+          const current = Array.isArray(values[k]) ? values[k].join(', ') : String(values[k] || '').trim();
+          if (current || metadata[k] === undefined || metadata[k] === null || metadata[k] === '') return;
+          values[k] = deepClone(metadata[k]);
+          filled.push(k);
+        });
+        const before = new Set(values.attribute_ids);
+        values.attribute_ids = Array.from(new Set([...values.attribute_ids, ...sourceAttrIds]));
+        const added = values.attribute_ids.filter((id) => !before.has(id)).length;
+
+        renderNewObjectCreateForm(values, { draftMode: 'restored' });
+
+        const statusEl = objectDetailEl.querySelector('[data-new-obj-start-status]');
+        if (statusEl) {
+          const name = kind === 'group' ? source.label || source.id : source.title || source.id;
+          statusEl.textContent =
+            `Applied "${name}": ${added} attribute(s) added` +
+            (filled.length ? `, filled ${filled.join(', ')}.` : '.') +
+            ' Existing values were kept.';
+        }
+      });
+    }
+
+    // Cancel keeps the draft (see "My drafts")
     const cancelBtn = objectDetailEl.querySelector('button[data-new-obj-cancel]');
     if (cancelBtn) cancelBtn.addEventListener('click', goBackToLastObjectOrList);
 
@@ -1832,6 +2805,16 @@ document.addEventListener('DOMContentLoaded', async () => {
                 alert(`Allowed values for "${aid}" must be a JSON array.`);
                 return;
               }
+              const dupes = findDuplicateEnumCodes(parsed);
+              if (dupes.length) {
+                alert(`Allowed values for "${aid}" have duplicate codes: ${dupes.join(', ')}`);
+                return;
+              }
+              const noCode = findEnumValuesWithoutCode(parsed);
+              if (noCode.length) {
+                alert(`Every allowed value for "${aid}" needs a code. Missing for: ${noCode.join(', ')}`);
+                return;
+              }
               values = parsed || [];
             } else {
               values = [];
@@ -1871,12 +2854,12 @@ document.addEventListener('DOMContentLoaded', async () => {
           attribute_ids: combinedAttrIds.length ? combinedAttrIds : undefined,
         });
 
-        const issueUrl = buildGithubIssueUrlForNewObject(objectObj, newAttributesOut);
+        const submission = buildNewObjectSubmission(objectObj, newAttributesOut);
+        formDraft.discard();
 
         goBackToLastObjectOrList();
 
-        const w = window.open(issueUrl, '_blank', 'noopener');
-        if (!w) alert('Popup blocked — please allow popups to open the GitHub Issue.');
+        submitChangeRequest(submission);
 
       });
 
@@ -1892,19 +2875,87 @@ document.addEventListener('DOMContentLoaded', async () => {
   // ----------------------------------------------------//
 
 
-  function renderAttributeEditForm(attrId) {
+  // ===========================
+  // ATTRIBUTE CHANGE IMPACT
+  // ===========================
+  // Where an attribute is used, for buildAttributeImpact()
+  function getAttributeUsage(attrId) {
+    const objects = Catalog.getObjectsForAttribute(attrId).map((obj) => {
+      const ref = Catalog.getAttributeRefsForObject(obj).find((r) => r.id === attrId) || {};
+      return { id: obj.id, title: obj.title || '', objname: obj.objname || '', group: ref.group || null, required: ref.required === true };
+    });
+    const relationships = Catalog.getRelationships()
+      .map((rel) => ({ id: rel.id, keys: RELATIONSHIP_KEY_FIELDS.filter((k) => rel[k] === attrId) }))
+      .filter((r) => r.keys.length);
+    return { objects, relationships };
+  }
+
+  function attributeImpactHtml(impact, formError = '') {
+    let html = '';
+    html += `<h3>Impact of this change <span class="pill">${impact.objects.length} object(s)</span></h3>`;
+    if (formError) html += `<p class="form-warning">${escapeHtml(formError)}</p>`;
+
+    if (impact.breaking.length) {
+      html += `<p class="form-warning"><strong>Breaking changes (${impact.breaking.length}):</strong></p><ul class="impact-breaking">`;
+      impact.breaking.forEach((b) => {
+        html += `<li>${escapeHtml(b.message)}</li>`;
+      });
+      html += '</ul>';
+    } else {
+      html += '<p>No breaking changes so far.</p>';
+    }
+    if (impact.notes.length) {
+      html += '<ul>';
+      impact.notes.forEach((n) => {
+        html += `<li>${escapeHtml(n)}</li>`;
+      });
+      html += '</ul>';
+    }
+
+    if (!impact.objects.length) {
+      html += '<p>No objects currently reference this attribute.</p>';
+    } else {
+      html += '<h4>Affected objects</h4><ul>';
+      impact.objects.forEach((u) => {
+        const extra = describeAttributeUsage(u);
+        html += `
+          <li>
+            <button type="button" class="link-button" data-object-id="${escapeHtml(u.id)}">
+              ${escapeHtml(u.title || u.id)}
+            </button>
+            ${extra ? `<div class="form-hint">${escapeHtml(extra)}</div>` : ''}
+          </li>`;
+      });
+      html += '</ul>';
+    }
+    if (impact.relationships.length) {
+      html += '<h4>Relationship keys</h4><ul>';
+      impact.relationships.forEach((r) => {
+        html += `<li><code>${escapeHtml(r.id)}</code> (${escapeHtml(r.keys.join(', '))})</li>`;
+      });
+      html += '</ul>';
+    }
+    return html;
+  }
+
+  function renderAttributeEditForm(attrId, { draftMode = 'offer' } = {}) {
     if (!attributeDetailEl) return;
 
     const attribute = Catalog.getAttributeById(attrId);
     if (!attribute) return;
+    if (redirectIfHistorical(() => renderAttributeDetail(attrId))) return;
+
+    lastSelectedAttributeId = attrId;
+    setRoute(['attributes', attrId, 'edit']);
 
     const original = deepClone(attribute);
     const draft = deepClone(attribute);
-    const objects = Catalog.getObjectsForAttribute(attrId) || [];
+    const usage = getAttributeUsage(attrId);
 
     let html = '';
 
     html += `<h2>Editing: ${escapeHtml(attribute.id)} – ${escapeHtml(attribute.label || '')}</h2>`;
+    html += `<div class="hidden" data-draft-notice></div>`;
 
     html += `<div class="card card-attribute-meta" id="attributeEditCard">`;
     html += `<div class="object-edit-actions">
@@ -1912,6 +2963,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       <button type="button" class="btn primary" data-edit-attr-submit>Submit suggestion</button>
     </div>`;
 
+    // Not in ATTRIBUTE_EDIT_FIELDS: the new-attribute forms have their own id input
+    html += `
+      <div class="object-edit-row">
+        <label class="object-edit-label">Attribute ID (renaming affects every object that uses it)</label>
+        <input class="object-edit-input" type="text" data-edit-attr-key="id" value="${escapeHtml(draft.id)}" />
+      </div>
+    `;
+
     ATTRIBUTE_EDIT_FIELDS.forEach((f) => {
       let val = draft[f.key];
 
@@ -1936,6 +2995,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
 
+      if (f.type === 'boolean') {
+        html += `
+          <div class="object-edit-row">
+            <label class="object-edit-label">${escapeHtml(f.label)}</label>
+            <select class="object-edit-input" data-edit-attr-key="${escapeHtml(f.key)}">
+              ${booleanFieldOptions(val)}
+            </select>
+          </div>
+        `;
+        return;
+      }
+
       html += `
         <div class="object-edit-row">
           <label class="object-edit-label">${escapeHtml(f.label)}</label>
@@ -1976,23 +3047,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       html += '</div>';
     }
 
-    html += '<div class="card card-attribute-objects">';
-    html += '<h3>Objects using this attribute</h3>';
-    if (!objects.length) {
-      html += '<p>No objects currently reference this attribute.</p>';
-    } else {
-      html += '<ul>';
-      objects.forEach((obj) => {
-        html += `
-          <li>
-            <button type="button" class="link-button" data-object-id="${escapeHtml(obj.id)}">
-              ${escapeHtml(obj.title || obj.id)}
-            </button>
-          </li>`;
-      });
-      html += '</ul>';
-    }
-    html += '</div>';
+    // Refreshed as the form changes (see refreshImpact)
+    html += `<div class="card card-attribute-objects card-impact" data-attr-impact>${attributeImpactHtml(
+      buildAttributeImpact(original, original, usage)
+    )}</div>`;
 
     attributeDetailEl.innerHTML = html;
     attributeDetailEl.classList.remove('hidden');
@@ -2004,53 +3062,102 @@ document.addEventListener('DOMContentLoaded', async () => {
     staggerCards(attributeDetailEl);
     animatePanel(attributeDetailEl);
 
-    const objButtons = attributeDetailEl.querySelectorAll('button[data-object-id]');
-    objButtons.forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const objId = btn.getAttribute('data-object-id');
-        showObjectsView();
-        renderObjectDetail(objId);
-      });
+    mountEnumValuesEditor(attributeDetailEl.querySelector('textarea[data-edit-attr-key="values"]'), { excludeAttrId: attrId });
+
+    const impactEl = attributeDetailEl.querySelector('[data-attr-impact]');
+    impactEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-object-id]');
+      if (!btn) return;
+      showObjectsView();
+      renderObjectDetail(btn.getAttribute('data-object-id'));
+    });
+
+    // Form -> { updated } (compacted record) or { error }
+    function readEditedAttribute() {
+      const edited = deepClone(draft);
+      const inputs = attributeDetailEl.querySelectorAll('[data-edit-attr-key]');
+      for (const el of inputs) {
+        const k = el.getAttribute('data-edit-attr-key');
+        const raw = el.value;
+
+        const def = ATTRIBUTE_EDIT_FIELDS.find((x) => x.key === k);
+        if (def && def.type === 'json') {
+          const parsed = tryParseJson(raw);
+          if (parsed && parsed.__parse_error__) return { error: `Allowed values JSON parse error:\n${parsed.__parse_error__}` };
+          const dupes = Array.isArray(parsed) ? findDuplicateEnumCodes(parsed) : [];
+          if (dupes.length) return { error: `Allowed values have duplicate codes: ${dupes.join(', ')}` };
+          const noCode = Array.isArray(parsed) ? findEnumValuesWithoutCode(parsed) : [];
+          if (noCode.length) return { error: `Every allowed value needs a code. Missing for: ${noCode.join(', ')}` };
+          edited[k] = parsed === null ? undefined : parsed;
+        } else if (def && ['integer', 'boolean', 'value'].includes(def.type)) {
+          const parsed = parseAttributeFieldInput(def.type, raw, def.label);
+          if (parsed.error) return { error: parsed.error };
+          edited[k] = parsed.value;
+        } else {
+          const s = String(raw || '').trim();
+          edited[k] = s === '' ? undefined : s;
+        }
+      }
+
+      if (!edited.id) return { error: 'Attribute ID is required.' };
+      if (edited.id !== attrId && Catalog.getAttributeById(edited.id)) {
+        return { error: `An attribute with ID "${edited.id}" already exists.` };
+      }
+      return { updated: compactObject(edited) };
+    }
+
+    function refreshImpact() {
+      const { updated, error } = readEditedAttribute();
+      impactEl.innerHTML = attributeImpactHtml(buildAttributeImpact(original, updated || original, usage), error);
+    }
+
+    const editCardEl = attributeDetailEl.querySelector('#attributeEditCard');
+    editCardEl.addEventListener('input', refreshImpact);
+    editCardEl.addEventListener('change', refreshImpact);
+
+    const formDraft = setupFormDraft(attributeDetailEl, {
+      form: 'edit-attribute',
+      id: attrId,
+      titleFor: () => `Edit attribute: ${attrId}`,
+      base: original,
+      capture: () => readFormValues(attributeDetailEl, 'data-edit-attr-key'),
+      restore: (values) => writeFormValues(attributeDetailEl, 'data-edit-attr-key', values),
+      draftMode,
     });
 
+    // Cancel keeps the draft (see "My drafts")
     const cancelBtn = attributeDetailEl.querySelector('button[data-edit-attr-cancel]');
     if (cancelBtn) cancelBtn.addEventListener('click', () => renderAttributeDetail(attrId));
 
     const submitBtn = attributeDetailEl.querySelector('button[data-edit-attr-submit]');
     if (submitBtn) {
       submitBtn.addEventListener('click', () => {
-        let hadError = false;
-        const inputs = attributeDetailEl.querySelectorAll('[data-edit-attr-key]');
-        inputs.forEach((el) => {
-          const k = el.getAttribute('data-edit-attr-key');
-          const raw = el.value;
-
-          const def = ATTRIBUTE_EDIT_FIELDS.find((x) => x.key === k);
-          if (def && def.type === 'json') {
-            const parsed = tryParseJson(raw);
-            if (parsed && parsed.__parse_error__) {
-              alert(`Allowed values JSON parse error:\n${parsed.__parse_error__}`);
-              hadError = true;
-              return;
-            }
-            draft[k] = parsed === null ? undefined : parsed;
-          } else {
-            const s = String(raw || '').trim();
-            draft[k] = s === '' ? undefined : s;
-          }
-        });
-
-        if (hadError) return;
+        const { updated, error } = readEditedAttribute();
+        if (error) {
+          alert(error);
+          return;
+        }
 
-        const updated = compactObject(draft);
+        if (!confirmAttributeConstraints([updated])) return;
         const origCompact = compactObject(original);
         const changes = computeChanges(origCompact, updated);
 
-        const issueUrl = buildGithubIssueUrlForEditedAttribute(attrId, origCompact, updated, changes);
+        const impact = buildAttributeImpact(origCompact, updated, usage);
+        if (impact.breaking.length) {
+          const proceed = confirm(
+            `This change is breaking for ${impact.objects.length} object(s):\n\n` +
+              impact.breaking.map((b) => `- ${b.message}`).join('\n') +
+              '\n\nSubmit the suggestion anyway? The impact report is included in the request.'
+          );
+          if (!proceed) return;
+        }
+
+        const submission = buildEditedAttributeSubmission(attrId, origCompact, updated, changes, impact);
+        formDraft.discard();
 
         renderAttributeDetail(attrId);
 
-        window.open(issueUrl, '_blank', 'noopener');
+        submitChangeRequest(submission);
       });
     }
   }
@@ -2071,6 +3178,131 @@ document.addEventListener('DOMContentLoaded', async () => {
   const allObjects = catalog.objects || [];
   const allAttributes = catalog.attributes || [];
 
+  // ===========================
+  // RELEASES (historical snapshots)
+  // ===========================
+  const releases = await Catalog.loadReleases();
+  const activeRelease = Catalog.getActiveRelease();
+  const releaseSelect = document.getElementById('releaseSelect');
+  const releaseBanner = document.getElementById('releaseBanner');
+
+  function formatReleaseLabel(release) {
+    return release.date && release.date !== release.label ? `${release.label} (${release.date})` : release.label;
+  }
+
+  // Switching releases reloads the page with ?release=<id> and keeps the current hash route
+  function urlForRelease(releaseId) {
+    const url = new URL(window.location.href);
+    if (releaseId) url.searchParams.set('release', releaseId);
+    else url.searchParams.delete('release');
+    return url.toString();
+  }
+
+  if (releaseSelect && releases.length) {
+    releaseSelect.innerHTML =
+      '<option value="">Current catalog</option>' +
+      releases
+        .slice()
+        .reverse()
+        .map((r) => `<option value="${escapeHtml(r.id)}">Release: ${escapeHtml(formatReleaseLabel(r))}</option>`)
+        .join('');
+    releaseSelect.value = activeRelease ? activeRelease.id : '';
+    releaseSelect.classList.remove('hidden');
+    releaseSelect.addEventListener('change', () => {
+      window.location.assign(urlForRelease(releaseSelect.value));
+    });
+  }
+
+  // Historical snapshots are read-only: change requests must target the current catalog
+  if (activeRelease) {
+    document.body.classList.add('is-historical');
+    if (releaseBanner) {
+      releaseBanner.innerHTML = `
+        Viewing historical release <strong>${escapeHtml(formatReleaseLabel(activeRelease))}</strong>.
+        Change requests are disabled.
+        <a href="${escapeHtml(urlForRelease(''))}">Back to the current catalog</a>
+      `;
+      releaseBanner.classList.remove('hidden');
+    }
+  }
+
+  // Search indexes for the sidebar lists (see catalog-search.js for the query syntax)
+  const objectSearchIndex = CatalogSearch.createIndex(allObjects, {
+    fields: [
+      { name: 'id', weight: 3, get: (o) => o.id },
+      { name: 'objname', weight: 3, get: (o) => o.objname },
+      { name: 'title', weight: 3, get: (o) => o.title },
+      { name: 'topics', weight: 2, get: (o) => o.topics },
+      { name: 'agency_owner', weight: 1.5, get: (o) => o.agency_owner },
+      { name: 'office_owner', weight: 1.5, get: (o) => o.office_owner },
+      { name: 'description', weight: 1, get: (o) => o.description },
+      { name: 'geometry_type', weight: 0.5, get: (o) => o.geometry_type },
+      { name: 'status', weight: 0.5, get: (o) => o.status },
+      { name: 'access_level', weight: 0.5, get: (o) => o.access_level },
+      { name: 'update_frequency', weight: 0.5, get: (o) => o.update_frequency },
+      {
+        name: 'attributes',
+        weight: 1,
+        fieldOnly: true,
+        get: (o) => Catalog.getAttributesForObject(o).map((a) => [a.id, a.label]),
+      },
+    ],
+    aliases: {
+      topic: 'topics',
+      attr: 'attributes',
+      attribute: 'attributes',
+      geom: 'geometry_type',
+      geometry: 'geometry_type',
+      type: 'geometry_type',
+      access: 'access_level',
+      owner: ['agency_owner', 'office_owner'],
+      agency: 'agency_owner',
+      office: 'office_owner',
+      name: ['objname', 'title'],
+      desc: 'description',
+      frequency: 'update_frequency',
+      update: 'update_frequency',
+    },
+  });
+
+  const attributeSearchIndex = CatalogSearch.createIndex(allAttributes, {
+    fields: [
+      { name: 'id', weight: 3, get: (a) => a.id },
+      { name: 'label', weight: 3, get: (a) => a.label },
+      { name: 'type', weight: 1.5, get: (a) => a.type },
+      { name: 'definition', weight: 1, get: (a) => a.definition },
+      {
+        name: 'values',
+        weight: 1,
+        get: (a) => (Array.isArray(a.values) ? a.values.map((v) => [v.code, v.label, v.description]) : []),
+      },
+      {
+        name: 'objects',
+        weight: 1,
+        fieldOnly: true,
+        get: (a) => Catalog.getObjectsForAttribute(a.id).map((o) => [o.id, o.objname, o.title]),
+      },
+    ],
+    aliases: {
+      name: 'label',
+      def: 'definition',
+      value: 'values',
+      code: 'values',
+      object: 'objects',
+      obj: 'objects',
+    },
+  });
+
+  // Extra list line showing where a search hit outside the displayed names
+  function buildSearchSnippetHtml(needles, texts) {
+    if (!needles || !needles.length) return '';
+    for (const text of texts) {
+      const html = CatalogSearch.snippet(text, needles);
+      if (html) return `<span class="list-item-snippet">${html}</span>`;
+    }
+    return '';
+  }
+
   // ===========================
   // BUTTONS (new object/attribute)
   // ===========================
@@ -2082,6 +3314,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Catalog-wide schema export: every object currently shown in the list (all, or the search results)
+  const exportCatalogSchemaBtn = document.getElementById('exportCatalogSchemaBtn');
+  const catalogExportFormatSelect = document.getElementById('catalogExportFormat');
+  if (catalogExportFormatSelect) {
+    catalogExportFormatSelect.innerHTML = SCHEMA_EXPORT_FORMATS.map(
+      (f) => `<option value="${escapeHtml(f.key)}">${escapeHtml(f.label)}</option>`
+    ).join('');
+  }
+  if (exportCatalogSchemaBtn) {
+    exportCatalogSchemaBtn.addEventListener('click', () => {
+      if (!visibleObjects.length) {
+        alert('No objects to export. Clear the search and filters to export the whole catalog.');
+        return;
+      }
+      const format = getSchemaExportFormat(catalogExportFormatSelect ? catalogExportFormatSelect.value : '');
+      const text = format.buildCatalog(visibleObjects, Catalog.getAttributesForObject);
+      const prefix = visibleObjects.length === allObjects.length ? 'catalog' : 'catalog_selection';
+      downloadTextFile(text, `${prefix}_${format.fileSuffix}`);
+    });
+  }
+
+  const compareObjectsBtn = document.getElementById('compareObjectsBtn');
+  if (compareObjectsBtn) {
+    compareObjectsBtn.addEventListener('click', () => {
+      showObjectsView();
+      renderObjectCompare(lastSelectedObjectId ? [lastSelectedObjectId] : []);
+    });
+  }
+
   const newAttributeBtn = document.getElementById('newAttributeBtn');
   if (newAttributeBtn) {
     newAttributeBtn.addEventListener('click', () => {
@@ -2093,19 +3354,150 @@ document.addEventListener('DOMContentLoaded', async () => {
   // ===========================
   // LIST RENDERING
   // ===========================
+  // Objects currently shown in the list (drives the catalog schema export)
+  let visibleObjects = allObjects;
+
+  // Sidebar facets. Values are compared case-insensitively so "PUBLIC" and "public" count together.
+  // Selections within one facet are OR'ed; different facets are AND'ed.
+  const OBJECT_FACETS = [
+    { key: 'geometry_type', label: 'Geometry type', valuesOf: (o) => [o.geometry_type] },
+    { key: 'status', label: 'Status', valuesOf: (o) => [o.status] },
+    { key: 'access_level', label: 'Access level', valuesOf: (o) => [o.access_level] },
+    { key: 'agency_owner', label: 'Agency owner', valuesOf: (o) => [o.agency_owner] },
+    { key: 'office_owner', label: 'Office owner', valuesOf: (o) => [o.office_owner] },
+    { key: 'update_frequency', label: 'Update frequency', valuesOf: (o) => [o.update_frequency] },
+    { key: 'topics', label: 'Topics', valuesOf: (o) => (Array.isArray(o.topics) ? o.topics : []) },
+  ];
+  const objectFacetSelections = {}; // facet key -> Set of normalized values
+  const openObjectFacets = new Set(); // facet keys whose <details> is expanded
+
+  function normalizeFacetValue(v) {
+    return String(v).trim().toLowerCase();
+  }
+
+  function getObjectFacetValues(facet, obj) {
+    return facet
+      .valuesOf(obj)
+      .filter((v) => v !== undefined && v !== null && String(v).trim() !== '')
+      .map((v) => ({ value: normalizeFacetValue(v), label: String(v).trim() }));
+  }
+
+  // exceptKey lets facet counts ignore their own selection (standard drill-down counts)
+  function objectMatchesFacets(obj, exceptKey = null) {
+    return OBJECT_FACETS.every((facet) => {
+      if (facet.key === exceptKey) return true;
+      const selected = objectFacetSelections[facet.key];
+      if (!selected || !selected.size) return true;
+      return getObjectFacetValues(facet, obj).some((fv) => selected.has(fv.value));
+    });
+  }
+
+  function hasObjectFacetSelections() {
+    return Object.values(objectFacetSelections).some((set) => set.size > 0);
+  }
+
+  function renderObjectFacets(textMatched) {
+    if (!objectFacetsEl) return;
+
+    let html = '';
+    OBJECT_FACETS.forEach((facet) => {
+      const selected = objectFacetSelections[facet.key] || new Set();
+
+      // Every value in the catalog is listed so a selection never disappears at count 0
+      const entries = new Map();
+      allObjects.forEach((obj) => {
+        getObjectFacetValues(facet, obj).forEach((fv) => {
+          if (!entries.has(fv.value)) entries.set(fv.value, { value: fv.value, label: fv.label, count: 0 });
+        });
+      });
+      textMatched
+        .filter((obj) => objectMatchesFacets(obj, facet.key))
+        .forEach((obj) => {
+          const seen = new Set();
+          getObjectFacetValues(facet, obj).forEach((fv) => {
+            if (seen.has(fv.value)) return;
+            seen.add(fv.value);
+            entries.get(fv.value).count++;
+          });
+        });
+
+      if (!entries.size) return;
+
+      const sorted = Array.from(entries.values()).sort(
+        (a, b) => b.count - a.count || a.label.localeCompare(b.label)
+      );
+      const isOpen = openObjectFacets.has(facet.key) || selected.size > 0;
+
+      html += `<details class="facet" data-facet="${escapeHtml(facet.key)}" ${isOpen ? 'open' : ''}>`;
+      html += `<summary>${escapeHtml(facet.label)}${selected.size ? ` <span class="pill">${selected.size}</span>` : ''}</summary>`;
+      html += '<ul class="facet-values">';
+      sorted.forEach((entry) => {
+        const checked = selected.has(entry.value);
+        html += `
+          <li class="${entry.count || checked ? '' : 'facet-value-empty'}">
+            <label title="${escapeHtml(entry.label)}">
+              <input type="checkbox" data-facet-key="${escapeHtml(facet.key)}" data-facet-value="${escapeHtml(entry.value)}" ${checked ? 'checked' : ''} />
+              <span class="facet-value-label">${escapeHtml(entry.label)}</span>
+              <span class="facet-count">${entry.count}</span>
+            </label>
+          </li>`;
+      });
+      html += '</ul></details>';
+    });
+
+    if (hasObjectFacetSelections()) {
+      html += '<button type="button" class="link-button facet-clear" data-facet-clear="1">Clear filters</button>';
+    }
+
+    objectFacetsEl.innerHTML = html;
+
+    objectFacetsEl.querySelectorAll('details[data-facet]').forEach((el) => {
+      el.addEventListener('toggle', () => {
+        const key = el.getAttribute('data-facet');
+        if (el.open) openObjectFacets.add(key);
+        else openObjectFacets.delete(key);
+      });
+    });
+
+    objectFacetsEl.querySelectorAll('input[data-facet-key]').forEach((input) => {
+      input.addEventListener('change', () => {
+        const key = input.getAttribute('data-facet-key');
+        const value = input.getAttribute('data-facet-value');
+        if (!objectFacetSelections[key]) objectFacetSelections[key] = new Set();
+        if (input.checked) objectFacetSelections[key].add(value);
+        else objectFacetSelections[key].delete(value);
+        openObjectFacets.add(key);
+        renderObjectList(objectSearchInput ? objectSearchInput.value : '');
+      });
+    });
+
+    const clearBtn = objectFacetsEl.querySelector('button[data-facet-clear]');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        Object.keys(objectFacetSelections).forEach((key) => delete objectFacetSelections[key]);
+        renderObjectList(objectSearchInput ? objectSearchInput.value : '');
+      });
+    }
+  }
+
   function renderObjectList(filterText = '') {
     if (!objectListEl) return;
-    const ft = filterText.trim().toLowerCase();
+    // Ranked hits (catalog order when the query is empty)
+    const hits = objectSearchIndex.search(filterText);
+    const needlesById = new Map(hits.map((hit) => [hit.record.id, hit.needles]));
 
-    const filtered = !ft
-      ? allObjects
-      : allObjects.filter((obj) => {
-        const haystack = [obj.id, obj.title, obj.description, obj.agency_owner, obj.office_owner, ...(obj.topics || [])]
-          .filter(Boolean)
-          .join(' ')
-          .toLowerCase();
-        return haystack.includes(ft);
-      });
+    const textMatched = hits.map((hit) => hit.record);
+    const filtered = textMatched.filter((obj) => objectMatchesFacets(obj));
+
+    renderObjectFacets(textMatched);
+
+    visibleObjects = filtered;
+    if (exportCatalogSchemaBtn) {
+      exportCatalogSchemaBtn.textContent =
+        filtered.length === allObjects.length
+          ? 'Export schema'
+          : `Export schema (${filtered.length} matching)`;
+    }
 
     if (!filtered.length) {
       objectListEl.innerHTML = '<p>No objects found.</p>';
@@ -2126,12 +3518,23 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       const primary = obj.objname || obj.id; // Database Object Name first
       const secondary = obj.title || obj.id; // Name under it
+      const needles = needlesById.get(obj.id) || [];
+      const snippet = CatalogSearch.snippet(`${primary} ${secondary}`, needles)
+        ? ''
+        : buildSearchSnippetHtml(needles, [
+          obj.description,
+          (obj.topics || []).join(', '),
+          obj.office_owner,
+          obj.agency_owner,
+          objectSearchIndex.fieldText(obj, 'attributes'),
+        ]);
 
       btn.innerHTML = `
         ${geomIconHtml}
           <span class="list-item-text">
-          <span class="list-item-primary">${escapeHtml(primary)}</span>
-          <span class="list-item-secondary">${escapeHtml(secondary)}</span>
+          <span class="list-item-primary">${CatalogSearch.highlight(primary, needles)}</span>
+          <span class="list-item-secondary">${CatalogSearch.highlight(secondary, needles)}</span>
+          ${snippet}
           </span>
       `;
 
@@ -2152,14 +3555,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   function renderAttributeList(filterText = '') {
     if (!attributeListEl) return;
-    const ft = filterText.trim().toLowerCase();
-
-    const filtered = !ft
-      ? allAttributes
-      : allAttributes.filter((attr) => {
-        const haystack = [attr.id, attr.label, attr.definition].filter(Boolean).join(' ').toLowerCase();
-        return haystack.includes(ft);
-      });
+    const hits = attributeSearchIndex.search(filterText);
+    const filtered = hits.map((hit) => hit.record);
+    const needlesById = new Map(hits.map((hit) => [hit.record.id, hit.needles]));
 
     if (!filtered.length) {
       attributeListEl.innerHTML = '<p>No attributes found.</p>';
@@ -2177,11 +3575,20 @@ document.addEventListener('DOMContentLoaded', async () => {
       btn.setAttribute('data-attr-id', attr.id);
       const primary = attr.label || attr.id; // Field Name first
       const secondary = attr.id;            // Name (ID) under it
+      const needles = needlesById.get(attr.id) || [];
+      const snippet = CatalogSearch.snippet(`${primary} ${secondary}`, needles)
+        ? ''
+        : buildSearchSnippetHtml(needles, [
+          attr.definition,
+          attributeSearchIndex.fieldText(attr, 'values'),
+          attributeSearchIndex.fieldText(attr, 'objects'),
+        ]);
 
       btn.innerHTML = `
         <span class="list-item-text">
-        <span class="list-item-primary">${escapeHtml(primary)}</span>
-        <span class="list-item-secondary">${escapeHtml(secondary)}</span>
+        <span class="list-item-primary">${CatalogSearch.highlight(primary, needles)}</span>
+        <span class="list-item-secondary">${CatalogSearch.highlight(secondary, needles)}</span>
+        ${snippet}
         </span>
       `;
 
@@ -2204,6 +3611,31 @@ document.addEventListener('DOMContentLoaded', async () => {
   // ===========================
   // DETAIL RENDERERS
   // ===========================
+
+  // One entry of an object's attribute list; attr comes from Catalog.getAttributesForObject (overrides merged)
+  function objectAttributeItemHtml(attr) {
+    const name = attr.alias ? `${attr.alias} (${attr.label || attr.id})` : attr.label || '';
+    return `
+        <li>
+          <button type="button" class="link-button" data-attr-id="${escapeHtml(attr.id)}">
+            ${escapeHtml(attr.id)} – ${escapeHtml(name)}
+          </button>${attr.required ? '<span class="pill pill-required">required</span>' : ''}
+        </li>`;
+  }
+
+  // Settings the selected object gives this attribute (see Catalog.getAttributeRefsForObject)
+  function objectAttributeOverridesHtml(objectId, attrId) {
+    const obj = objectId ? Catalog.getObjectById(objectId) : null;
+    const ref = obj ? Catalog.getAttributeRefsForObject(obj).find((r) => r.id === attrId) : null;
+    if (!ref) return '';
+    let html = '';
+    if (ref.alias) html += `<p><strong>Alias in ${escapeHtml(obj.id)}:</strong> ${escapeHtml(ref.alias)}</p>`;
+    if (ref.required !== undefined) {
+      html += `<p><strong>Required in ${escapeHtml(obj.id)}:</strong> ${ref.required ? 'Yes' : 'No'}</p>`;
+    }
+    if (ref.notes) html += `<p><strong>Notes for ${escapeHtml(obj.id)}:</strong> ${escapeHtml(ref.notes)}</p>`;
+    return html;
+  }
   function renderObjectDetail(objectId) {
     if (!objectDetailEl) return;
 
@@ -2212,6 +3644,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     lastSelectedObjectId = objectId;
     setActiveListButton(objectListEl, (b) => b.getAttribute('data-obj-id') === objectId);
+    setRoute(['objects', objectId]);
 
     const obj = Catalog.getObjectById(objectId);
     if (!obj) {
@@ -2265,6 +3698,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     if (obj.notes) html += `<p><strong>Notes:</strong> ${escapeHtml(obj.notes)}</p>`;
 
+    if (Array.isArray(obj.attribute_group_ids) && obj.attribute_group_ids.length) {
+      html += `<p><strong>Attribute groups:</strong> ${obj.attribute_group_ids
+        .map((gid) => {
+          const group = Catalog.getAttributeGroupById(gid);
+          return `<span class="pill" title="${escapeHtml((group && group.description) || '')}">${escapeHtml((group && group.label) || gid)}</span>`;
+        })
+        .join(' ')}</p>`;
+    }
+
     html += '</div>';
 
     // Attributes section (unchanged)
@@ -2279,12 +3721,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     } else {
       html += '<ul>';
       attrs.forEach((attr) => {
-        html += `
-        <li>
-          <button type="button" class="link-button" data-attr-id="${escapeHtml(attr.id)}">
-            ${escapeHtml(attr.id)} – ${escapeHtml(attr.label || '')}
-          </button>
-        </li>`;
+        html += objectAttributeItemHtml(attr);
       });
       html += '</ul>';
     }
@@ -2298,15 +3735,59 @@ document.addEventListener('DOMContentLoaded', async () => {
     </div>
   `;
 
+    const relationships = Catalog.getRelationshipsForObject(obj.id);
+    if (relationships.length) {
+      html += '<div class="card card-relationships">';
+      html += '<h3>Relationships</h3>';
+      html += `
+        <table>
+          <thead>
+            <tr><th>Related object</th><th>This object is</th><th>Cardinality</th><th>Keys</th><th>Type</th></tr>
+          </thead>
+          <tbody>
+      `;
+      relationships.forEach((rel) => {
+        const isOrigin = rel.origin === obj.id;
+        const otherId = isOrigin ? rel.destination : rel.origin;
+        const other = Catalog.getObjectById(otherId);
+        const label = isOrigin ? rel.forward_label : rel.backward_label;
+        html += `
+            <tr>
+              <td>
+                ${other
+            ? `<button type="button" class="link-button" data-related-object-id="${escapeHtml(otherId)}">${escapeHtml(other.title || otherId)}</button>`
+            : `${escapeHtml(otherId)} (not in catalog)`}
+                ${label ? `<div class="form-hint">${escapeHtml(label)}</div>` : ''}
+              </td>
+              <td>${isOrigin ? 'Origin' : 'Destination'}</td>
+              <td>${escapeHtml(describeRelationshipCardinality(rel.cardinality, isOrigin))}</td>
+              <td>${escapeHtml(describeRelationshipKeys(rel))}</td>
+              <td>${rel.composite ? 'Composite' : 'Simple'}</td>
+            </tr>
+        `;
+      });
+      html += `
+          </tbody>
+        </table>
+      `;
+      html += '</div>';
+    }
+
     // Actions (unchanged)
     html += `
     <div class="card card-actions">
       <button type="button" class="suggest-button" data-edit-object="${escapeHtml(obj.id)}">
         Suggest a change to this object
       </button>
-      <button type="button" class="export-button" data-export-schema="${escapeHtml(obj.id)}">
-        Export ArcGIS schema (Python)
+      <button type="button" class="export-button" data-compare-object="${escapeHtml(obj.id)}">
+        Compare with other objects
       </button>
+      ${SCHEMA_EXPORT_FORMATS.map(
+      (f) => `
+      <button type="button" class="export-button" data-export-schema="${escapeHtml(obj.id)}" data-export-format="${escapeHtml(f.key)}">
+        Export ${escapeHtml(f.label)}
+      </button>`
+    ).join('')}
     </div>
   `;
 
@@ -2329,17 +3810,29 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     });
 
-    const exportBtn = objectDetailEl.querySelector('button[data-export-schema]');
-    if (exportBtn) {
+    const compareBtn = objectDetailEl.querySelector('button[data-compare-object]');
+    if (compareBtn) {
+      compareBtn.addEventListener('click', () => {
+        renderObjectCompare([compareBtn.getAttribute('data-compare-object')]);
+      });
+    }
+
+    objectDetailEl.querySelectorAll('button[data-related-object-id]').forEach((btn) => {
+      btn.addEventListener('click', () => renderObjectDetail(btn.getAttribute('data-related-object-id')));
+    });
+
+    const exportBtns = objectDetailEl.querySelectorAll('button[data-export-schema]');
+    exportBtns.forEach((exportBtn) => {
       exportBtn.addEventListener('click', () => {
         const objId = exportBtn.getAttribute('data-export-schema');
         const o = Catalog.getObjectById(objId);
         if (!o) return;
+        const format = getSchemaExportFormat(exportBtn.getAttribute('data-export-format'));
         const attrsForObj = Catalog.getAttributesForObject(o);
-        const script = buildArcGisSchemaPython(o, attrsForObj);
-        downloadTextFile(script, `${o.id}_schema_arcpy.py`);
+        const text = format.buildObject(o, attrsForObj);
+        downloadTextFile(text, `${o.id}_${format.fileSuffix}`);
       });
-    }
+    });
   }
 
 
@@ -2373,6 +3866,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       html += `<p><strong>Expected Input:</strong> ${escapeHtml(String(attribute.expected_value))}</p>`;
     }
 
+    describeAttributeConstraints(attribute).forEach(([label, text]) => {
+      html += `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(text)}</p>`;
+    });
+
     if (attribute.status) {
       html += `<p><strong>Status:</strong> ${escapeHtml(attribute.status)}</p>`;
     }
@@ -2387,6 +3884,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       html += `<p><strong>Notes:</strong> ${escapeHtml(attribute.notes)}</p>`;
     }
 
+    html += objectAttributeOverridesHtml(lastSelectedObjectId, attrId);
+
     if (attribute.type === 'enumerated' && Array.isArray(attribute.values) && attribute.values.length) {
       html += '<h4>Allowed values</h4>';
       html += `
@@ -2471,6 +3970,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     lastSelectedAttributeId = attrId;
     setActiveListButton(attributeListEl, (b) => b.getAttribute('data-attr-id') === attrId);
+    setRoute(['attributes', attrId]);
 
     const attribute = Catalog.getAttributeById(attrId);
     if (!attribute) {
@@ -2501,6 +4001,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       html += `<p><strong>Expected Input:</strong> ${escapeHtml(String(attribute.expected_value))}</p>`;
     }
 
+    describeAttributeConstraints(attribute).forEach(([label, text]) => {
+      html += `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(text)}</p>`;
+    });
+
     if (attribute.status) {
       html += `<p><strong>Status:</strong> ${escapeHtml(attribute.status)}</p>`;
     }
@@ -2552,6 +4056,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (!objects.length) {
       html += '<p>No objects currently reference this attribute.</p>';
     } else {
+      html += `<button type="button" class="btn" data-graph-attribute="${escapeHtml(attribute.id)}">Show blast radius in graph</button>`;
       html += '<ul>';
       objects.forEach((obj) => {
         html += `
@@ -2584,6 +4089,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
 
+    const graphBtn = attributeDetailEl.querySelector('button[data-graph-attribute]');
+    if (graphBtn) {
+      graphBtn.addEventListener('click', () => {
+        showGraphView();
+        renderGraphView(graphBtn.getAttribute('data-graph-attribute'));
+      });
+    }
+
     const objButtons = attributeDetailEl.querySelectorAll('button[data-object-id]');
     objButtons.forEach((btn) => {
       btn.addEventListener('click', () => {
@@ -2596,214 +4109,3135 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   // ===========================
-  // INITIAL RENDER + SEARCH
+  // OBJECT COMPARISON
   // ===========================
-  renderObjectList();
-  renderAttributeList();
+  const COMPARE_STATUS_LABELS = {
+    shared: 'Shared',
+    'type-mismatch': 'Type mismatch',
+    partial: 'Partial',
+    unique: 'Unique',
+  };
 
-  if (objectSearchInput) {
-    objectSearchInput.addEventListener('input', () => renderObjectList(objectSearchInput.value));
-  }
-  if (attributeSearchInput) {
-    attributeSearchInput.addEventListener('input', () => renderAttributeList(attributeSearchInput.value));
+  function renderObjectCompare(objectIds = []) {
+    if (!objectDetailEl) return;
+
+    objectDetailEl.classList.remove('fx-enter', 'fx-animating');
+
+    const selected = Array.from(new Set(objectIds))
+      .map((id) => Catalog.getObjectById(id))
+      .filter(Boolean);
+    setRoute(['compare', ...selected.map((o) => o.id)]);
+
+    const selectedIds = new Set(selected.map((o) => o.id));
+
+    let html = '';
+    html += '<h2>Compare objects</h2>';
+    html += '<div class="card card-meta">';
+    html += '<h3>Objects</h3>';
+    html += '<p class="modal-help">Pick two or more objects to compare their metadata and attribute sets.</p>';
+    html += '<div class="compare-picker">';
+    allObjects.forEach((o) => {
+      html += `
+        <label title="${escapeHtml(o.title || o.id)}">
+          <input type="checkbox" data-compare-pick="${escapeHtml(o.id)}" ${selectedIds.has(o.id) ? 'checked' : ''} />
+          ${escapeHtml(o.objname || o.id)}
+        </label>`;
+    });
+    html += '</div></div>';
+
+    let comparison = null;
+    if (selected.length < 2) {
+      html += '<div class="card"><p>Select at least two objects.</p></div>';
+    } else {
+      comparison = buildObjectComparison(selected, Catalog.getAttributesForObject);
+      const headerCells = selected
+        .map(
+          (o) =>
+            `<th><button type="button" class="link-button" data-compare-open="${escapeHtml(o.id)}">${escapeHtml(
+              o.objname || o.id
+            )}</button></th>`
+        )
+        .join('');
+
+      // Summary
+      html += '<div class="card card-meta">';
+      html += '<h3>Summary</h3>';
+      html += `<p><strong>Shared attributes:</strong> ${comparison.summary.shared}</p>`;
+      html += `<p><strong>Same label, different type:</strong> ${comparison.summary.mismatched}</p>`;
+      html += `<p><strong>In some but not all:</strong> ${comparison.summary.partial}</p>`;
+      selected.forEach((o) => {
+        html += `<p><strong>Only in ${escapeHtml(o.objname || o.id)}:</strong> ${comparison.summary.uniqueByObject[o.id]}</p>`;
+      });
+      html += '</div>';
+
+      // Metadata matrix
+      html += '<div class="card compare-card">';
+      html += '<h3>Metadata</h3>';
+      html += `<table class="compare-table"><thead><tr><th>Field</th>${headerCells}</tr></thead><tbody>`;
+      comparison.fields.forEach((f) => {
+        html += `<tr class="${f.differs ? 'compare-diff' : ''}"><th>${escapeHtml(f.label)}</th>`;
+        f.values.forEach((v) => {
+          html += `<td>${escapeHtml(v)}</td>`;
+        });
+        html += '</tr>';
+      });
+      html += '</tbody></table></div>';
+
+      // Attribute matrix
+      html += '<div class="card compare-card">';
+      html += '<h3>Attributes</h3>';
+      if (!comparison.attributes.length) {
+        html += '<p>None of the selected objects define attributes.</p>';
+      } else {
+        html += `<table class="compare-table"><thead><tr><th>Attribute</th>${headerCells}<th>Status</th></tr></thead><tbody>`;
+        comparison.attributes.forEach((a) => {
+          html += `<tr class="compare-status-${escapeHtml(a.status)}">`;
+          html += `<th><button type="button" class="link-button" data-compare-attr="${escapeHtml(a.id)}">${escapeHtml(
+            a.id
+          )}</button> <span class="compare-attr-label">${escapeHtml(a.label)}</span></th>`;
+          a.cells.forEach((c) => {
+            html += c ? `<td>✓ ${escapeHtml(c.type)}</td>` : '<td class="compare-missing">—</td>';
+          });
+          const statusLabel = COMPARE_STATUS_LABELS[a.status] || a.status;
+          html += a.mismatchWith.length
+            ? `<td>${escapeHtml(statusLabel)} <span class="compare-attr-label">vs ${escapeHtml(a.mismatchWith.join(', '))}</span></td>`
+            : `<td>${escapeHtml(statusLabel)}</td>`;
+          html += '</tr>';
+        });
+        html += '</tbody></table>';
+      }
+      html += '</div>';
+
+      html += `
+        <div class="card card-actions">
+          <button type="button" class="export-button" data-compare-csv="1">Export comparison (CSV)</button>
+        </div>
+      `;
+    }
+
+    objectDetailEl.innerHTML = html;
+    objectDetailEl.classList.remove('hidden');
+    resetDetailScroll(objectDetailEl);
+
+    objectDetailEl.querySelectorAll('input[data-compare-pick]').forEach((input) => {
+      input.addEventListener('change', () => {
+        const ids = Array.from(objectDetailEl.querySelectorAll('input[data-compare-pick]:checked')).map((el) =>
+          el.getAttribute('data-compare-pick')
+        );
+        renderObjectCompare(ids);
+      });
+    });
+
+    objectDetailEl.querySelectorAll('button[data-compare-open]').forEach((btn) => {
+      btn.addEventListener('click', () => renderObjectDetail(btn.getAttribute('data-compare-open')));
+    });
+
+    objectDetailEl.querySelectorAll('button[data-compare-attr]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        showAttributesView();
+        renderAttributeDetail(btn.getAttribute('data-compare-attr'));
+      });
+    });
+
+    const csvBtn = objectDetailEl.querySelector('button[data-compare-csv]');
+    if (csvBtn && comparison) {
+      csvBtn.addEventListener('click', () => {
+        downloadTextFile(buildObjectComparisonCsv(comparison), `compare_${selected.map((o) => o.id).join('_vs_')}.csv`);
+      });
+    }
   }
 
-  // Initial render: objects tab is active by default
-  if (allObjects.length) {
-    lastSelectedObjectId = allObjects[0].id;
-    renderObjectDetail(allObjects[0].id);
+  // ===========================
+  // WHAT CHANGED (schema diff against another catalog version)
+  // ===========================
+  // By default the loaded catalog is the "after" side and the "before" side is loaded from a
+  // path/URL or an uploaded JSON file (same normalization as loadCatalog). Release notes
+  // compare two consecutive snapshots from the releases manifest instead.
+  let changesBase = null; // { label, catalog, url }
+  let changesHead = null; // { label, catalog } or null for the loaded catalog
+  let changesNotes = null; // { title, notes } when showing release notes
+  let changesLoadError = '';
+
+  function currentCatalogLabel() {
+    return activeRelease ? `release ${formatReleaseLabel(activeRelease)}` : `current catalog (${CATALOG_URL})`;
   }
-});
 
-// ====== UTILS ======
-function escapeHtml(str) {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
+  async function loadChangesBaseFromUrl(url) {
+    const resp = await fetch(url, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return Catalog.normalizeCatalog(await resp.json());
+  }
 
-// Return HTML snippet for a geometry icon based on geometry_type
-// contextClass should be either "geom-icon-list" or "geom-icon-inline"
-function getGeometryIconHTML(geometryType, contextClass) {
-  const geom = (geometryType || '').toUpperCase().trim();
+  function renderChangeValue(value) {
+    if (value === undefined) return '<span class="diff-none">(none)</span>';
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    return `<pre class="diff-value">${escapeHtml(text)}</pre>`;
+  }
 
-  const baseClass = 'geom-icon';
-  const fullClass = `${baseClass} ${contextClass || ''}`.trim();
+  function renderDiffSectionHtml(title, d, entity) {
+    const nameOf = (r) => (entity === 'object' ? r.title || '' : r.label || '');
+    const linkFor = (id, exists) =>
+      exists
+        ? `<button type="button" class="link-button" data-changes-open="${escapeHtml(entity)}" data-changes-id="${escapeHtml(id)}">${escapeHtml(id)}</button>`
+        : `<code>${escapeHtml(id)}</code>`;
+    const exists = (id) => !!(entity === 'object' ? Catalog.getObjectById(id) : Catalog.getAttributeById(id));
+
+    let html = '<div class="card card-changes">';
+    html += `<h3>${escapeHtml(title)}
+      <span class="pill diff-added">+${d.added.length}</span>
+      <span class="pill diff-removed">−${d.removed.length}</span>
+      <span class="pill diff-modified">~${d.modified.length}</span></h3>`;
+
+    if (!d.added.length && !d.removed.length && !d.modified.length) {
+      html += '<p>No changes.</p></div>';
+      return html;
+    }
 
-  if (geom === 'POLYGON') {
-    return `<span class="${fullClass} geom-poly"></span>`;
+    if (d.added.length) {
+      html += '<h4>Added</h4><ul>';
+      d.added.forEach((r) => {
+        html += `<li>${linkFor(r.id, exists(r.id))} ${escapeHtml(nameOf(r))}</li>`;
+      });
+      html += '</ul>';
+    }
+    if (d.removed.length) {
+      html += '<h4>Removed</h4><ul>';
+      d.removed.forEach((r) => {
+        html += `<li><code>${escapeHtml(r.id)}</code> ${escapeHtml(nameOf(r))}</li>`;
+      });
+      html += '</ul>';
+    }
+    if (d.modified.length) {
+      html += '<h4>Modified</h4>';
+      d.modified.forEach((m) => {
+        html += `<h5>${linkFor(m.id, exists(m.id))} ${escapeHtml(nameOf(m.after))}</h5>`;
+        html += '<table><thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead><tbody>';
+        m.changes.forEach((c) => {
+          html += `<tr><td>${escapeHtml(c.key)}</td><td>${renderChangeValue(c.from)}</td><td>${renderChangeValue(c.to)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+      });
+    }
+    html += '</div>';
+    return html;
   }
 
-  let symbol = '';
-  if (geom === 'POINT' || geom === 'MULTIPOINT') {
-    symbol = '•';
-  } else if (geom === 'POLYLINE' || geom === 'LINE') {
-    symbol = '〰️';
-  } else if (geom === 'TABLE') {
-    symbol = '▦';
-  } else {
-    symbol = '';
-  }
+  function renderChangesView() {
+    if (!changesDetailEl) return;
 
-  return `<span class="${fullClass}">${symbol}</span>`;
-}
+    setRoute(['changes']);
 
-// Build ArcGIS Python schema script for an object
-function buildArcGisSchemaPython(obj, attrs) {
-  const lines = [];
-  const objId = obj.id || '';
-  const objname = obj.objname || objId;
+    let html = '';
+    html += '<h2>What changed</h2>';
+    html += `
+      <div class="card card-meta changes-source no-print">
+        <h3>Compare the current catalog against…</h3>
+        <div class="changes-source-row">
+          <input type="text" id="changesBaseUrl" placeholder="Path or URL of an older catalog.json" value="${escapeHtml(
+            changesBase && changesBase.url ? changesBase.url : ''
+          )}" />
+          <button type="button" class="btn" data-changes-load-url="1">Load</button>
+        </div>
+        <div class="changes-source-row">
+          <label>…or upload a JSON file: <input type="file" id="changesBaseFile" accept=".json,application/json" /></label>
+        </div>
+        ${releases.length
+        ? `
+        <h3>Release notes</h3>
+        <div class="changes-source-row">
+          <select id="changesReleaseSelect" class="toolbar-select" aria-label="Release">
+            ${activeRelease ? '' : '<option value="">Unreleased changes (latest release → current)</option>'}
+            ${releases
+          .slice()
+          .reverse()
+          .map((r) => `<option value="${escapeHtml(r.id)}">${escapeHtml(formatReleaseLabel(r))}</option>`)
+          .join('')}
+          </select>
+          <button type="button" class="btn" data-changes-release-notes="1">Show release notes</button>
+        </div>`
+        : ''}
+        ${changesLoadError ? `<p class="form-warning">${escapeHtml(changesLoadError)}</p>` : ''}
+      </div>
+    `;
 
-  lines.push('# -*- coding: utf-8 -*-');
-  lines.push('# Auto-generated ArcGIS schema script from National Lands Data Catalog');
-  lines.push(`# Object ID: ${objId}`);
-  if (obj.title) lines.push(`# Title: ${obj.title}`);
-  if (obj.description) lines.push(`# Description: ${obj.description}`);
-  lines.push('');
-  lines.push('import arcpy');
-  lines.push('');
-  lines.push('# TODO: Update these paths and settings before running');
-  lines.push('gdb = r"C:\\path\\to\\your.gdb"');
-  lines.push(`fc_name = "${objname}"`);
+    let diff = null;
+    const headLabel = changesHead ? changesHead.label : currentCatalogLabel();
+    if (changesBase) {
+      diff = buildCatalogDiff(changesBase.catalog, changesHead ? changesHead.catalog : catalogData);
+      html += `
+        <div class="card card-meta">
+          ${changesNotes ? `<h3>${escapeHtml(changesNotes.title)}</h3>` : ''}
+          ${changesNotes && changesNotes.notes ? `<p>${escapeHtml(changesNotes.notes)}</p>` : ''}
+          <p><strong>Before:</strong> ${escapeHtml(changesBase.label)}</p>
+          <p><strong>After:</strong> ${escapeHtml(headLabel)}</p>
+          <p><strong>Total changes:</strong> ${diff.totalChanges}</p>
+          <div class="object-edit-actions no-print">
+            <button type="button" class="btn" data-changes-print="1">Print changelog</button>
+            <button type="button" class="btn" data-changes-download="1">Download changelog (Markdown)</button>
+          </div>
+        </div>
+      `;
+      html += renderDiffSectionHtml('Objects', diff.objects, 'object');
+      html += renderDiffSectionHtml('Attributes', diff.attributes, 'attribute');
+    }
 
-  const proj = obj.projection || '';
-  const epsgMatch = proj.match(/EPSG:(\\d+)/i);
+    changesDetailEl.innerHTML = html;
+    resetDetailScroll(changesDetailEl);
 
-  const geomType = (obj.geometry_type || 'POLYGON').toUpperCase();
-  lines.push(`geometry_type = "${geomType}"  # e.g. "POINT", "POLYLINE", "POLYGON"`);
+    function setBase(catalog, label, url) {
+      changesBase = { catalog, label, url: url || '' };
+      changesHead = null;
+      changesNotes = null;
+      changesLoadError = '';
+      renderChangesView();
+    }
+    function setError(msg) {
+      changesLoadError = msg;
+      renderChangesView();
+    }
 
-  if (epsgMatch) {
-    lines.push(`spatial_reference = arcpy.SpatialReference(${epsgMatch[1]})  # from ${proj}`);
-  } else {
-    lines.push('spatial_reference = None  # TODO: set a spatial reference if desired');
-  }
+    const urlInput = changesDetailEl.querySelector('#changesBaseUrl');
+    const loadBtn = changesDetailEl.querySelector('button[data-changes-load-url]');
+    if (loadBtn && urlInput) {
+      const load = async () => {
+        const url = urlInput.value.trim();
+        if (!url) return;
+        try {
+          setBase(await loadChangesBaseFromUrl(url), url, url);
+        } catch (err) {
+          setError(`Could not load ${url}: ${err.message}`);
+        }
+      };
+      loadBtn.addEventListener('click', load);
+      urlInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') load();
+      });
+    }
 
-  lines.push('');
-  lines.push('# Create the feature class');
-  lines.push('out_fc = arcpy.management.CreateFeatureclass(');
-  lines.push('    gdb,');
-  lines.push('    fc_name,');
-  lines.push('    geometry_type,');
-  lines.push('    spatial_reference=spatial_reference');
-  lines.push(')[0]');
-  lines.push('');
-  lines.push('# Define attributes: (name, type, alias, length, domain)');
-  lines.push('attributes = [');
+    const fileInput = changesDetailEl.querySelector('#changesBaseFile');
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+          try {
+            setBase(Catalog.normalizeCatalog(JSON.parse(String(reader.result))), file.name);
+          } catch (err) {
+            setError(`${file.name} is not valid JSON: ${err.message}`);
+          }
+        };
+        reader.onerror = () => setError(`Could not read ${file.name}`);
+        reader.readAsText(file);
+      });
+    }
 
-  const enumDomainComments = [];
+    // Release notes: selected release vs. the one before it ("" = latest release vs. current)
+    const releaseNotesBtn = changesDetailEl.querySelector('button[data-changes-release-notes]');
+    const releaseNotesSelect = changesDetailEl.querySelector('#changesReleaseSelect');
+    if (releaseNotesBtn && releaseNotesSelect) {
+      if (changesNotes && changesNotes.releaseId !== undefined) releaseNotesSelect.value = changesNotes.releaseId;
+      releaseNotesBtn.addEventListener('click', async () => {
+        const releaseId = releaseNotesSelect.value;
+        try {
+          if (!releaseId) {
+            const latest = releases[releases.length - 1];
+            changesBase = { catalog: await Catalog.loadReleaseCatalog(latest.id), label: `release ${formatReleaseLabel(latest)}` };
+            changesHead = null;
+            changesNotes = { releaseId, title: 'Unreleased changes', notes: '' };
+          } else {
+            const idx = releases.findIndex((r) => r.id === releaseId);
+            const release = releases[idx];
+            const previous = releases[idx - 1];
+            if (!previous) {
+              setError(`${formatReleaseLabel(release)} is the first release; there is no earlier snapshot to compare with.`);
+              return;
+            }
+            changesBase = { catalog: await Catalog.loadReleaseCatalog(previous.id), label: `release ${formatReleaseLabel(previous)}` };
+            changesHead = { catalog: await Catalog.loadReleaseCatalog(release.id), label: `release ${formatReleaseLabel(release)}` };
+            changesNotes = { releaseId, title: `Release notes: ${formatReleaseLabel(release)}`, notes: release.notes };
+          }
+          changesLoadError = '';
+          renderChangesView();
+        } catch (err) {
+          setError(err.message);
+        }
+      });
+    }
 
-  attrs.forEach((attr) => {
-    const attrInfo = mapAttributeToArcGisAttributeSpec(attr);
+    changesDetailEl.querySelectorAll('button[data-changes-open]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const id = btn.getAttribute('data-changes-id');
+        if (btn.getAttribute('data-changes-open') === 'object') {
+          showObjectsView();
+          renderObjectDetail(id);
+        } else {
+          showAttributesView();
+          renderAttributeDetail(id);
+        }
+      });
+    });
 
-    const name = attr.id || '';
-    const alias = attr.label || '';
-    const type = attrInfo.type;
-    const length = attrInfo.length;
-    const domain = 'None';
+    const printBtn = changesDetailEl.querySelector('button[data-changes-print]');
+    if (printBtn) printBtn.addEventListener('click', () => window.print());
+
+    const downloadBtn = changesDetailEl.querySelector('button[data-changes-download]');
+    if (downloadBtn && diff) {
+      downloadBtn.addEventListener('click', () => {
+        const md = formatCatalogDiffMarkdown(diff, {
+          title: changesNotes ? changesNotes.title : 'Catalog changelog',
+          baseLabel: changesBase.label,
+          headLabel,
+        });
+        downloadTextFile(md, changesNotes ? 'release_notes.md' : 'catalog_changelog.md');
+      });
+    }
+  }
 
-    const safeAlias = alias.replace(/"/g, '""');
+  // ===========================
+  // CATALOG HEALTH DASHBOARD
+  // ===========================
+  // Lists common data gaps; every row opens the matching "Suggest a change" form so
+  // stewards can file the fix as a change request straight from here.
+  function renderHealthDashboard() {
+    if (!healthDetailEl) return;
+
+    setRoute(['health']);
+
+    const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+    const sections = [
+      {
+        title: 'Objects missing a contact email',
+        entity: 'object',
+        rows: allObjects.filter((o) => isBlank(o.contact_email)),
+      },
+      {
+        title: 'Objects with an unknown Database Object Name',
+        entity: 'object',
+        rows: allObjects.filter((o) => isBlank(o.objname) || String(o.objname).trim().toLowerCase() === 'unknown'),
+      },
+      {
+        title: 'Objects with no attributes',
+        entity: 'object',
+        rows: allObjects.filter((o) => !Catalog.getAttributesForObject(o).length),
+      },
+      {
+        title: 'Attributes not used by any object',
+        entity: 'attribute',
+        rows: allAttributes.filter((a) => !Catalog.getObjectsForAttribute(a.id).length),
+      },
+      {
+        title: 'Attributes without a definition',
+        entity: 'attribute',
+        rows: allAttributes.filter((a) => isBlank(a.definition)),
+      },
+    ];
 
-    lines.push(`    ("${name}", "${type}", "${safeAlias}", ${length}, ${domain}),`);
+    const report = CatalogValidator.validateCatalog(catalogData);
+    const gapCount = sections.reduce((n, sec) => n + sec.rows.length, 0);
 
-    if (attr.type === 'enumerated' && Array.isArray(attr.values) && attr.values.length) {
-      const commentLines = [];
-      commentLines.push(`# Domain suggestion for ${name} (${alias}):`);
-      attr.values.forEach((v) => {
-        const code = v.code !== undefined ? String(v.code) : '';
-        const label = v.label || '';
-        const desc = v.description || '';
-        commentLines.push(`#   ${code} = ${label}  -  ${desc}`);
+    let html = '';
+    html += '<h2>Catalog health</h2>';
+    html += `<p class="modal-help">${gapCount} gap(s) across ${allObjects.length} objects and ${allAttributes.length} attributes.
+      Use "Suggest fix" to open a pre-filled change request.</p>`;
+
+    function rowHtml(entity, rec, message) {
+      const id = rec ? rec.id : '';
+      // Attribute groups and catalog-level issues have no page to open
+      if (entity !== 'object' && entity !== 'attribute') {
+        return `<tr><td><code>${escapeHtml(id || entity)}</code></td><td>${escapeHtml(message || '')}</td><td></td></tr>`;
+      }
+      const name = entity === 'object' ? (rec && (rec.title || rec.id)) || id : (rec && rec.label) || '';
+      const known = entity === 'object' ? Catalog.getObjectById(id) : Catalog.getAttributeById(id);
+      return `
+        <tr>
+          <td><button type="button" class="link-button" data-health-open="${escapeHtml(entity)}" data-health-id="${escapeHtml(id)}">${escapeHtml(id)}</button></td>
+          <td>${escapeHtml(message || name)}</td>
+          <td>${known
+          ? `<button type="button" class="btn" data-health-fix="${escapeHtml(entity)}" data-health-id="${escapeHtml(id)}">Suggest fix</button>`
+          : ''}</td>
+        </tr>`;
+    }
+
+    sections.forEach((sec) => {
+      html += '<div class="card card-health">';
+      html += `<h3>${escapeHtml(sec.title)} <span class="pill">${sec.rows.length}</span></h3>`;
+      if (!sec.rows.length) {
+        html += '<p>None 🎉</p>';
+      } else {
+        html += `<table><thead><tr><th>${sec.entity === 'object' ? 'Object' : 'Attribute'}</th><th>Name</th><th></th></tr></thead><tbody>`;
+        sec.rows.forEach((rec) => {
+          html += rowHtml(sec.entity, rec);
+        });
+        html += '</tbody></table>';
+      }
+      html += '</div>';
+    });
+
+    // Full validator output (vocabularies, dangling references, malformed values, ...)
+    const errors = report.issues.filter((i) => i.severity === 'error');
+    html += '<div class="card card-health">';
+    html += `<h3>Validation errors <span class="pill">${errors.length}</span></h3>`;
+    if (!errors.length) {
+      html += '<p>None 🎉</p>';
+    } else {
+      html += '<table><thead><tr><th>Record</th><th>Problem</th><th></th></tr></thead><tbody>';
+      errors.forEach((i) => {
+        const rec = i.entity === 'object' ? Catalog.getObjectById(i.id) : Catalog.getAttributeById(i.id);
+        html += rowHtml(i.entity, rec || { id: i.id }, i.message);
       });
-      enumDomainComments.push(commentLines.join('\n'));
+      html += '</tbody></table>';
     }
-  });
+    html += `
+      <div class="object-edit-actions" style="margin-top:0.75rem;">
+        <button type="button" class="btn" data-health-download="markdown">Download report (Markdown)</button>
+        <button type="button" class="btn" data-health-download="json">Download report (JSON)</button>
+      </div>
+    `;
+    html += '</div>';
 
-  lines.push(']');
-  lines.push('');
-  lines.push('# Add attributes to the feature class');
-  lines.push('for name, atype, alias, length, domain in attributes:');
-  lines.push('    kwargs = {"field_alias": alias}');
-  lines.push('    if length is not None and atype == "TEXT":');
-  lines.push('        kwargs["field_length"] = length');
-  lines.push('    if domain is not None and domain != "None":');
-  lines.push('        kwargs["field_domain"] = domain');
-  lines.push('    arcpy.management.AddField(out_fc, name, atype, **kwargs)');
-  lines.push('');
+    healthDetailEl.innerHTML = html;
+    resetDetailScroll(healthDetailEl);
 
-  if (enumDomainComments.length) {
-    lines.push('# ---------------------------------------------------------------------------');
-    lines.push('# Suggested coded value domains for enumerated attributes');
-    lines.push('# You can use these comments to create geodatabase domains manually:');
-    lines.push('# ---------------------------------------------------------------------------');
-    enumDomainComments.forEach((block) => {
-      lines.push(block);
-      lines.push('');
+    healthDetailEl.querySelectorAll('button[data-health-open]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const id = btn.getAttribute('data-health-id');
+        if (btn.getAttribute('data-health-open') === 'object') {
+          showObjectsView();
+          renderObjectDetail(id);
+        } else {
+          showAttributesView();
+          renderAttributeDetail(id);
+        }
+      });
     });
-  }
 
-  return lines.join('\n');
-}
+    healthDetailEl.querySelectorAll('button[data-health-fix]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const id = btn.getAttribute('data-health-id');
+        if (btn.getAttribute('data-health-fix') === 'object') {
+          showObjectsView();
+          renderObjectEditForm(id);
+        } else {
+          showAttributesView();
+          renderAttributeEditForm(id);
+        }
+      });
+    });
 
-// ✅ renamed: no "field" in the codebase naming
-function mapAttributeToArcGisAttributeSpec(attr) {
-  const t = (attr.type || '').toLowerCase();
-  switch (t) {
-    case 'string':
-      return { type: 'TEXT', length: 255 };
-    case 'integer':
-      return { type: 'LONG', length: null };
-    case 'float':
-      return { type: 'DOUBLE', length: null };
-    case 'boolean':
-      return { type: 'SHORT', length: null };
-    case 'date':
-      return { type: 'DATE', length: null };
-    case 'enumerated':
-      return { type: 'LONG', length: null };
-    default:
-      return { type: 'TEXT', length: 255 };
+    healthDetailEl.querySelectorAll('button[data-health-download]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        if (btn.getAttribute('data-health-download') === 'json') {
+          downloadTextFile(JSON.stringify(report, null, 2), 'catalog_validation_report.json');
+        } else {
+          downloadTextFile(CatalogValidator.formatReportMarkdown(report), 'catalog_validation_report.md');
+        }
+      });
+    });
   }
-}
 
-function slugifyObjectId(raw) {
-  // Make a safe catalog ID like: blm_rmp_boundaries
-  // - lowercase
-  // - convert spaces/dashes to underscores
-  // - remove non-alphanumerics (keep underscores)
-  // - collapse multiple underscores
-  // - trim underscores
-  return String(raw || '')
-    .trim()
-    .toLowerCase()
-    .replace(/\.(?=[a-z0-9])/g, '_')          // dots -> underscores (e.g., SDE.NAME)
-    .replace(/[\s\-\/]+/g, '_')              // spaces/dashes/slashes -> underscores
-    .replace(/[^a-z0-9_]/g, '')              // remove everything else
-    .replace(/_+/g, '_')                     // collapse underscores
-    .replace(/^_+|_+$/g, '');                // trim underscores
-}
+  // ===========================
+  // CATALOG GRAPH (objects linked by shared attributes / relationships)
+  // ===========================
+  // Edge toggles and zoom/pan survive re-renders (e.g. picking another attribute)
+  const graphOptions = { showShared: true, showRelationships: true };
+  let graphViewBox = null;
+  let graphBaseViewBox = null;
 
-function suggestObjectIdFromDraft(draft) {
-  // Prefer Name (title). Fallback to objname. Fallback to description.
-  const name = (draft && draft.title) || '';
-  const objname = (draft && draft.objname) || '';
-  const desc = (draft && draft.description) || '';
+  function renderGraphView(highlightAttrId = null) {
+    if (!graphDetailEl) return;
 
-  // If objname looks like "SDE.FOO_BAR", take the last token
-  let base = name;
-  if (!base && objname) {
-    const parts = String(objname).split('.');
-    base = parts[parts.length - 1] || objname;
-  }
-  if (!base) base = desc;
+    const graph = buildCatalogGraph(allObjects, (o) => Catalog.getAttributesForObject(o), Catalog.getRelationships());
+    const layout = layoutCatalogGraph(graph.nodes);
+    const highlight = highlightAttrId && graph.attributes.some((a) => a.id === highlightAttrId) ? highlightAttrId : null;
+    setRoute(highlight ? ['graph', highlight] : ['graph']);
 
-  return slugifyObjectId(base);
+    const svgOptions = { ...graphOptions, highlightAttrId: highlight };
+    const sharedEdges = graph.edges.filter((e) => e.kind === 'shared').length;
+    const relationshipEdges = graph.edges.length - sharedEdges;
+
+    let html = '';
+    html += '<h2>Catalog graph</h2>';
+    html += `<p class="modal-help">${graph.nodes.length} objects, ${sharedEdges} shared-attribute link(s), ${relationshipEdges} relationship(s).
+      Scroll to zoom, drag to pan, click an object to open it. Hover a line to see what links the objects.</p>`;
+
+    html += `
+      <div class="card card-meta graph-toolbar">
+        <label>Highlight attribute (blast radius):
+          <select data-graph-highlight class="toolbar-select">
+            <option value="">— none —</option>
+            ${graph.attributes
+        .map(
+          (a) =>
+            `<option value="${escapeHtml(a.id)}" ${a.id === highlight ? 'selected' : ''}>${escapeHtml(a.id)} (${a.objectIds.length} object${a.objectIds.length === 1 ? '' : 's'})</option>`
+        )
+        .join('')}
+          </select>
+        </label>
+        <label><input type="checkbox" data-graph-toggle="showShared" ${graphOptions.showShared ? 'checked' : ''} /> Shared attributes</label>
+        <label><input type="checkbox" data-graph-toggle="showRelationships" ${graphOptions.showRelationships ? 'checked' : ''} /> Relationships</label>
+        <div class="object-edit-actions">
+          <button type="button" class="btn" data-graph-zoom="in" title="Zoom in">+</button>
+          <button type="button" class="btn" data-graph-zoom="out" title="Zoom out">−</button>
+          <button type="button" class="btn" data-graph-zoom="reset">Reset view</button>
+          <button type="button" class="btn" data-graph-download="svg">Download SVG</button>
+          <button type="button" class="btn" data-graph-download="png">Download PNG</button>
+        </div>
+        <p class="graph-legend">
+          <span class="graph-key graph-key-shared"></span> shared attributes (thicker = more)
+          <span class="graph-key graph-key-relationship"></span> relationship (origin → destination)
+          <span class="graph-key graph-key-highlight"></span> uses the highlighted attribute
+        </p>
+      </div>
+    `;
+
+    html += `<div class="graph-canvas" data-graph-canvas>${buildCatalogGraphSvg(graph, layout, svgOptions)}</div>`;
+
+    if (highlight) {
+      const attr = Catalog.getAttributeById(highlight);
+      const objects = Catalog.getObjectsForAttribute(highlight);
+      html += `
+        <div class="card card-attribute-objects">
+          <h3>Blast radius of ${escapeHtml(highlight)} <span class="pill">${objects.length}</span></h3>
+          <p>Changing ${escapeHtml(highlight)}${attr && attr.label ? ` (${escapeHtml(attr.label)})` : ''} affects these objects:</p>
+          <ul>
+            ${objects
+          .map(
+            (obj) =>
+              `<li><button type="button" class="link-button" data-graph-open-object="${escapeHtml(obj.id)}">${escapeHtml(obj.title || obj.id)}</button></li>`
+          )
+          .join('')}
+          </ul>
+          <button type="button" class="btn" data-graph-open-attribute="${escapeHtml(highlight)}">Open attribute</button>
+        </div>
+      `;
+    }
+
+    graphDetailEl.innerHTML = html;
+
+    const canvasEl = graphDetailEl.querySelector('[data-graph-canvas]');
+    const svgEl = canvasEl.querySelector('svg');
+    const base = layout.viewBox;
+    if (!graphViewBox || JSON.stringify(base) !== JSON.stringify(graphBaseViewBox)) graphViewBox = { ...base };
+    graphBaseViewBox = base;
+
+    function applyViewBox() {
+      svgEl.setAttribute('viewBox', `${graphViewBox.x} ${graphViewBox.y} ${graphViewBox.w} ${graphViewBox.h}`);
+    }
+
+    // Zoom by `factor` around a point in graph coordinates (default: the center of the view)
+    function zoom(factor, cx = graphViewBox.x + graphViewBox.w / 2, cy = graphViewBox.y + graphViewBox.h / 2) {
+      const w = Math.min(Math.max(graphViewBox.w * factor, base.w / 10), base.w * 4);
+      const h = (w / graphViewBox.w) * graphViewBox.h;
+      graphViewBox = {
+        x: cx - ((cx - graphViewBox.x) / graphViewBox.w) * w,
+        y: cy - ((cy - graphViewBox.y) / graphViewBox.h) * h,
+        w,
+        h,
+      };
+      applyViewBox();
+    }
+
+    // Screen -> graph coordinates. The drawing is letterboxed inside the CSS-sized element
+    // (preserveAspectRatio "meet"), so go through the screen CTM rather than the client rect.
+    function screenToGraphMatrix() {
+      const ctm = svgEl.getScreenCTM ? svgEl.getScreenCTM() : null;
+      return ctm ? ctm.inverse() : null;
+    }
+
+    function toGraphPoint(clientX, clientY, inverse = screenToGraphMatrix()) {
+      if (!inverse) return null;
+      const p = new DOMPoint(clientX, clientY).matrixTransform(inverse);
+      return { x: p.x, y: p.y };
+    }
+
+    applyViewBox();
+
+    canvasEl.addEventListener(
+      'wheel',
+      (e) => {
+        e.preventDefault();
+        const p = toGraphPoint(e.clientX, e.clientY);
+        const factor = e.deltaY > 0 ? 1.15 : 1 / 1.15;
+        if (p) zoom(factor, p.x, p.y);
+        else zoom(factor);
+      },
+      { passive: false }
+    );
+
+    // Drag to pan; a drag that moved more than a few pixels is not a click on a node.
+    // The pointer is only captured once it moves, so a plain click still targets the node.
+    let drag = null;
+    canvasEl.addEventListener('pointerdown', (e) => {
+      // The matrix is fixed for the whole drag: the viewBox moves underneath the pointer
+      const inverse = screenToGraphMatrix();
+      drag = { x: e.clientX, y: e.clientY, inverse, start: toGraphPoint(e.clientX, e.clientY, inverse), box: { ...graphViewBox }, moved: false };
+    });
+    canvasEl.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      if (!(e.buttons & 1)) {
+        drag = null;
+        return;
+      }
+      if (!drag.start) return;
+      if (!drag.moved && Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) > 3) {
+        drag.moved = true;
+        if (canvasEl.setPointerCapture) canvasEl.setPointerCapture(e.pointerId);
+      }
+      if (!drag.moved) return;
+      const p = toGraphPoint(e.clientX, e.clientY, drag.inverse);
+      graphViewBox = {
+        ...drag.box,
+        x: drag.box.x - (p.x - drag.start.x),
+        y: drag.box.y - (p.y - drag.start.y),
+      };
+      applyViewBox();
+    });
+    // The click after pointerup still sees the drag state, then it is cleared
+    const endDrag = () => {
+      setTimeout(() => {
+        drag = null;
+      }, 0);
+    };
+    canvasEl.addEventListener('pointerup', endDrag);
+    canvasEl.addEventListener('pointercancel', endDrag);
+
+    canvasEl.addEventListener('click', (e) => {
+      if (drag && drag.moved) return;
+      const nodeEl = e.target.closest('[data-graph-object-id]');
+      if (!nodeEl) return;
+      showObjectsView();
+      renderObjectDetail(nodeEl.getAttribute('data-graph-object-id'));
+    });
+
+    graphDetailEl.querySelectorAll('button[data-graph-zoom]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const action = btn.getAttribute('data-graph-zoom');
+        if (action === 'reset') {
+          graphViewBox = { ...base };
+          applyViewBox();
+        } else {
+          zoom(action === 'in' ? 1 / 1.25 : 1.25);
+        }
+      });
+    });
+
+    const highlightSelect = graphDetailEl.querySelector('select[data-graph-highlight]');
+    if (highlightSelect) {
+      highlightSelect.addEventListener('change', () => renderGraphView(highlightSelect.value || null));
+    }
+
+    graphDetailEl.querySelectorAll('input[data-graph-toggle]').forEach((input) => {
+      input.addEventListener('change', () => {
+        graphOptions[input.getAttribute('data-graph-toggle')] = input.checked;
+        renderGraphView(highlight);
+      });
+    });
+
+    graphDetailEl.querySelectorAll('button[data-graph-download]').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        // Downloads show the whole graph, whatever the current zoom
+        const svgText = buildCatalogGraphSvg(graph, layout, svgOptions);
+        const fileBase = highlight ? `catalog_graph_${highlight}` : 'catalog_graph';
+        if (btn.getAttribute('data-graph-download') === 'svg') {
+          downloadTextFile(svgText, `${fileBase}.svg`, 'image/svg+xml');
+          return;
+        }
+        try {
+          downloadBlob(await renderSvgToPngBlob(svgText, base.w, base.h), `${fileBase}.png`);
+        } catch (err) {
+          alert(`Could not create the PNG: ${err.message}`);
+        }
+      });
+    });
+
+    graphDetailEl.querySelectorAll('button[data-graph-open-object]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        showObjectsView();
+        renderObjectDetail(btn.getAttribute('data-graph-open-object'));
+      });
+    });
+
+    const openAttrBtn = graphDetailEl.querySelector('button[data-graph-open-attribute]');
+    if (openAttrBtn) {
+      openAttrBtn.addEventListener('click', () => {
+        showAttributesView();
+        renderAttributeDetail(openAttrBtn.getAttribute('data-graph-open-attribute'));
+      });
+    }
+  }
+
+  // ===========================
+  // GLOBAL SEARCH (command palette)
+  // ===========================
+  // One search box over objects, attributes and enumerated values (Ctrl/Cmd+K or "/").
+  const commandPaletteEl = document.getElementById('commandPalette');
+  const commandPaletteInput = document.getElementById('commandPaletteInput');
+  const commandPaletteResultsEl = document.getElementById('commandPaletteResults');
+  const globalSearchBtn = document.getElementById('globalSearchBtn');
+
+  const PALETTE_GROUP_LIMIT = 8;
+
+  // One record per enumerated value so a code like "USFWS" can be found directly
+  const enumValueRecords = [];
+  allAttributes.forEach((attr) => {
+    if (!Array.isArray(attr.values)) return;
+    attr.values.forEach((v) => {
+      if (v && typeof v === 'object') enumValueRecords.push({ attr, value: v });
+    });
+  });
+
+  const valueSearchIndex = CatalogSearch.createIndex(enumValueRecords, {
+    fields: [
+      { name: 'code', weight: 3, get: (r) => r.value.code },
+      { name: 'label', weight: 2, get: (r) => r.value.label },
+      { name: 'description', weight: 1, get: (r) => r.value.description },
+      { name: 'attribute', weight: 1, fieldOnly: true, get: (r) => [r.attr.id, r.attr.label] },
+    ],
+    aliases: { attr: 'attribute', code: 'code', value: ['code', 'label', 'description'] },
+  });
+
+  let paletteItems = []; // [{ run }] in display order
+  let paletteActiveIndex = 0;
+
+  function openObjectWithInlineAttribute(objId, attrId) {
+    showObjectsView();
+    renderObjectDetail(objId);
+    renderInlineAttributeDetail(attrId);
+  }
+
+  function renderCommandPaletteResults() {
+    if (!commandPaletteResultsEl) return;
+    const query = commandPaletteInput ? commandPaletteInput.value.trim() : '';
+    paletteItems = [];
+
+    if (!query) {
+      commandPaletteResultsEl.innerHTML =
+        '<p class="palette-empty">Type to search. Field queries from the sidebar searches work here too (e.g. <code>topic:fire</code>).</p>';
+      return;
+    }
+
+    const groups = [];
+
+    const objectHits = objectSearchIndex.search(query).slice(0, PALETTE_GROUP_LIMIT);
+    if (objectHits.length) {
+      groups.push({
+        title: 'Objects',
+        items: objectHits.map((hit) => {
+          const obj = hit.record;
+          return {
+            html: `
+              ${getGeometryIconHTML(obj.geometry_type || '', 'geom-icon-list')}
+              <span class="palette-item-primary">${CatalogSearch.highlight(obj.objname || obj.id, hit.needles)}</span>
+              <span class="palette-item-secondary">${CatalogSearch.highlight(obj.title || obj.id, hit.needles)}</span>`,
+            run: () => {
+              showObjectsView();
+              renderObjectDetail(obj.id);
+            },
+          };
+        }),
+      });
+    }
+
+    const attributeHits = attributeSearchIndex.search(query).slice(0, PALETTE_GROUP_LIMIT);
+    if (attributeHits.length) {
+      groups.push({
+        title: 'Attributes',
+        items: attributeHits.map((hit) => {
+          const attr = hit.record;
+          return {
+            html: `
+              <span class="palette-item-primary">${CatalogSearch.highlight(attr.id, hit.needles)}</span>
+              <span class="palette-item-secondary">${CatalogSearch.highlight(attr.label || '', hit.needles)}
+                ${attr.type ? `<span class="pill">${escapeHtml(attr.type)}</span>` : ''}</span>`,
+            run: () => {
+              showAttributesView();
+              renderAttributeDetail(attr.id);
+            },
+          };
+        }),
+      });
+    }
+
+    // Values: one row for the attribute, then one per object using it (opens the inline attribute card)
+    const valueHits = valueSearchIndex.search(query).slice(0, PALETTE_GROUP_LIMIT);
+    if (valueHits.length) {
+      const items = [];
+      valueHits.forEach((hit) => {
+        const { attr, value } = hit.record;
+        items.push({
+          html: `
+            <span class="palette-item-primary">${CatalogSearch.highlight(String(value.code), hit.needles)}
+              – ${CatalogSearch.highlight(value.label || '', hit.needles)}</span>
+            <span class="palette-item-secondary">value of ${escapeHtml(attr.id)}${value.description ? ` · ${CatalogSearch.highlight(value.description, hit.needles)}` : ''
+            }</span>`,
+          run: () => {
+            showAttributesView();
+            renderAttributeDetail(attr.id);
+          },
+        });
+        Catalog.getObjectsForAttribute(attr.id).forEach((obj) => {
+          items.push({
+            sub: true,
+            html: `
+              <span class="palette-item-secondary">↳ used in <strong>${escapeHtml(obj.objname || obj.id)}</strong>
+                (${escapeHtml(obj.title || obj.id)})</span>`,
+            run: () => openObjectWithInlineAttribute(obj.id, attr.id),
+          });
+        });
+      });
+      groups.push({ title: 'Enumerated values', items });
+    }
+
+    if (!groups.length) {
+      commandPaletteResultsEl.innerHTML = '<p class="palette-empty">No matches.</p>';
+      return;
+    }
+
+    let html = '';
+    groups.forEach((group) => {
+      html += `<div class="palette-group"><h4>${escapeHtml(group.title)}</h4>`;
+      group.items.forEach((item) => {
+        const idx = paletteItems.length;
+        paletteItems.push(item);
+        html += `
+          <button type="button" class="palette-item${item.sub ? ' palette-item-sub' : ''}" role="option" data-palette-index="${idx}">
+            ${item.html}
+          </button>`;
+      });
+      html += '</div>';
+    });
+    commandPaletteResultsEl.innerHTML = html;
+
+    commandPaletteResultsEl.querySelectorAll('button[data-palette-index]').forEach((btn) => {
+      btn.addEventListener('click', () => runPaletteItem(Number(btn.getAttribute('data-palette-index'))));
+      btn.addEventListener('mousemove', () => setPaletteActive(Number(btn.getAttribute('data-palette-index'))));
+    });
+    setPaletteActive(0);
+  }
+
+  function setPaletteActive(idx) {
+    if (!paletteItems.length) return;
+    paletteActiveIndex = (idx + paletteItems.length) % paletteItems.length;
+    commandPaletteResultsEl.querySelectorAll('button[data-palette-index]').forEach((btn) => {
+      const active = Number(btn.getAttribute('data-palette-index')) === paletteActiveIndex;
+      btn.classList.toggle('is-active', active);
+      btn.setAttribute('aria-selected', active ? 'true' : 'false');
+      if (active && typeof btn.scrollIntoView === 'function') btn.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  function runPaletteItem(idx) {
+    const item = paletteItems[idx];
+    if (!item) return;
+    closeCommandPalette();
+    item.run();
+  }
+
+  function openCommandPalette() {
+    if (!commandPaletteEl) return;
+    commandPaletteEl.classList.remove('hidden');
+    renderCommandPaletteResults();
+    if (commandPaletteInput) {
+      commandPaletteInput.focus();
+      commandPaletteInput.select();
+    }
+  }
+
+  function closeCommandPalette() {
+    if (commandPaletteEl) commandPaletteEl.classList.add('hidden');
+  }
+
+  function isCommandPaletteOpen() {
+    return !!commandPaletteEl && !commandPaletteEl.classList.contains('hidden');
+  }
+
+  if (globalSearchBtn) globalSearchBtn.addEventListener('click', openCommandPalette);
+
+  if (commandPaletteInput) {
+    commandPaletteInput.addEventListener('input', renderCommandPaletteResults);
+    commandPaletteInput.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setPaletteActive(paletteActiveIndex + 1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setPaletteActive(paletteActiveIndex - 1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteItem(paletteActiveIndex);
+      }
+    });
+  }
+
+  if (commandPaletteEl) {
+    // Click on the backdrop (outside the dialog) closes it
+    commandPaletteEl.addEventListener('click', (e) => {
+      if (e.target === commandPaletteEl) closeCommandPalette();
+    });
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && String(e.key).toLowerCase() === 'k') {
+      e.preventDefault();
+      if (isCommandPaletteOpen()) closeCommandPalette();
+      else openCommandPalette();
+      return;
+    }
+    if (e.key === 'Escape' && isCommandPaletteOpen()) {
+      closeCommandPalette();
+      return;
+    }
+    // "/" opens the palette unless the user is typing somewhere
+    const tag = e.target && e.target.tagName ? e.target.tagName.toLowerCase() : '';
+    const typing = tag === 'input' || tag === 'textarea' || tag === 'select' || (e.target && e.target.isContentEditable);
+    if (e.key === '/' && !typing && !isCommandPaletteOpen()) {
+      e.preventDefault();
+      openCommandPalette();
+    }
+  });
+
+  // ===========================
+  // MY DRAFTS (see FORM DRAFTS)
+  // ===========================
+  const DRAFT_FORM_LABELS = {
+    'edit-object': 'Object change',
+    'edit-attribute': 'Attribute change',
+    'new-object': 'New object',
+    'new-attributes': 'New attribute(s)',
+  };
+
+  function updateDraftsButton() {
+    if (!draftsCountEl) return;
+    const n = Drafts.list().length;
+    draftsCountEl.textContent = String(n);
+    draftsCountEl.classList.toggle('hidden', !n);
+  }
+
+  function renderDraftsPanel() {
+    if (!draftsListEl) return;
+    const drafts = Drafts.list();
+    if (!drafts.length) {
+      draftsListEl.innerHTML = '<p class="palette-empty">No drafts. Forms you start are saved here until you submit them.</p>';
+      return;
+    }
+
+    draftsListEl.innerHTML = drafts
+      .map(
+        (d, idx) => `
+        <div class="draft-item">
+          <div class="draft-item-text">
+            <strong>${escapeHtml(d.title || DRAFT_FORM_LABELS[d.form] || d.form)}</strong>
+            <span class="draft-item-time">${escapeHtml(DRAFT_FORM_LABELS[d.form] || d.form)} · saved ${escapeHtml(
+              formatDraftTime(d.saved_at)
+            )}</span>
+          </div>
+          <button type="button" class="btn primary" data-draft-open="${idx}">Open</button>
+          <button type="button" class="btn" data-draft-remove="${idx}">Discard</button>
+        </div>`
+      )
+      .join('');
+
+    draftsListEl.querySelectorAll('button[data-draft-open]').forEach((btn) => {
+      btn.addEventListener('click', () => openDraft(drafts[Number(btn.getAttribute('data-draft-open'))]));
+    });
+    draftsListEl.querySelectorAll('button[data-draft-remove]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const d = drafts[Number(btn.getAttribute('data-draft-remove'))];
+        if (!confirm(`Discard the draft "${d.title || d.form}"? This cannot be undone.`)) return;
+        Drafts.remove(d.form, d.id);
+        updateDraftsButton();
+        renderDraftsPanel();
+      });
+    });
+  }
+
+  function openDraft(d) {
+    if (!d) return;
+    closeDraftsPanel();
+    if (Catalog.getActiveRelease()) {
+      alert('This is a historical release, so change requests are disabled. Go back to the current catalog to continue this draft.');
+      return;
+    }
+    switch (d.form) {
+      case 'edit-object':
+        if (!Catalog.getObjectById(d.id)) {
+          alert(`Object "${d.id}" is no longer in the catalog. Discard this draft from "My drafts".`);
+          return;
+        }
+        showObjectsView();
+        renderObjectEditForm(d.id, { draftMode: 'restore' });
+        return;
+      case 'edit-attribute':
+        if (!Catalog.getAttributeById(d.id)) {
+          alert(`Attribute "${d.id}" is no longer in the catalog. Discard this draft from "My drafts".`);
+          return;
+        }
+        showAttributesView();
+        renderAttributeEditForm(d.id, { draftMode: 'restore' });
+        return;
+      case 'new-object':
+        showObjectsView();
+        renderNewObjectCreateForm(d.values || {}, { draftMode: 'restored' });
+        return;
+      case 'new-attributes':
+        showAttributesView();
+        renderNewAttributeCreateForm(d.values || {}, { draftMode: 'restored' });
+        return;
+      default:
+        // Left behind by another version of the app: nothing can open it
+        Drafts.remove(d.form, d.id);
+        updateDraftsButton();
+    }
+  }
+
+  function openDraftsPanel() {
+    if (!draftsPanelEl) return;
+    renderDraftsPanel();
+    draftsPanelEl.classList.remove('hidden');
+  }
+
+  function closeDraftsPanel() {
+    if (draftsPanelEl) draftsPanelEl.classList.add('hidden');
+  }
+
+  if (draftsBtn) draftsBtn.addEventListener('click', openDraftsPanel);
+
+  if (draftsPanelEl) {
+    draftsPanelEl.addEventListener('click', (e) => {
+      if (e.target === draftsPanelEl) closeDraftsPanel();
+    });
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && draftsPanelEl && !draftsPanelEl.classList.contains('hidden')) closeDraftsPanel();
+  });
+
+  updateDraftsButton();
+
+  // ===========================
+  // ROUTER (deep links + browser history)
+  // ===========================
+  // Hash routes:
+  //   #/objects/<id>          #/attributes/<id>
+  //   #/objects/<id>/edit     #/attributes/<id>/edit
+  //   #/objects/new           #/attributes/new
+  //   #/compare/<id>/<id>...     (objects tab; kept out of #/objects/ so no object id can collide)
+  //   #/health                #/changes
+  //   #/graph                 #/graph/<attribute id>  (highlights the attribute's objects)
+  // Optional "?q=<text>" after the path holds the active view's search box text.
+  function buildRouteHash(parts, q) {
+    const path = parts.map((p) => encodeURIComponent(String(p))).join('/');
+    const query = q ? `?q=${encodeURIComponent(q)}` : '';
+    return `#/${path}${query}`;
+  }
+
+  function parseRoute(hash) {
+    const raw = String(hash || '').replace(/^#\/?/, '');
+    const qIdx = raw.indexOf('?');
+    const pathPart = qIdx === -1 ? raw : raw.slice(0, qIdx);
+    const queryPart = qIdx === -1 ? '' : raw.slice(qIdx + 1);
+
+    const parts = pathPart
+      .split('/')
+      .filter(Boolean)
+      .map((p) => {
+        try {
+          return decodeURIComponent(p);
+        } catch (e) {
+          return p;
+        }
+      });
+
+    const q = new URLSearchParams(queryPart).get('q') || '';
+    if (parts[0] === 'compare') {
+      return { view: 'objects', id: null, action: null, compare: parts.slice(1), q };
+    }
+
+    const view = routeViewOf(parts[0]);
+    return {
+      view,
+      id: parts[1] || null,
+      action: parts[2] || null,
+      q,
+    };
+  }
+
+  function routeViewOf(first) {
+    return Object.prototype.hasOwnProperty.call(viewRoutes, first) ? first : 'objects';
+  }
+
+  function currentSearchText(view) {
+    if (view !== 'objects' && view !== 'attributes') return '';
+    const input = view === 'attributes' ? attributeSearchInput : objectSearchInput;
+    return input ? String(input.value || '').trim() : '';
+  }
+
+  // Record the route for its view and push it onto browser history.
+  // While a route is being applied (initial load / Back / Forward) history is left alone.
+  function setRoute(parts, { replace = false } = {}) {
+    const view = routeViewOf(parts[0]);
+    viewRoutes[view] = parts.slice();
+    if (applyingRoute) return;
+
+    const hash = buildRouteHash(parts, currentSearchText(view));
+    if (window.location.hash === hash) return;
+
+    if (replace) window.history.replaceState(null, '', hash);
+    else window.history.pushState(null, '', hash);
+  }
+
+  function applyRoute() {
+    const route = parseRoute(window.location.hash);
+    const isAttrs = route.view === 'attributes';
+    // Historical releases are read-only: edit/new links open the record (or the list) instead
+    if (Catalog.getActiveRelease()) {
+      if (route.id === 'new') route.id = null;
+      if (route.action === 'edit') route.action = null;
+    }
+
+    // Single-panel pages (no sidebar list)
+    const pageRenderers = {
+      health: () => {
+        showHealthView();
+        renderHealthDashboard();
+      },
+      changes: () => {
+        showChangesView();
+        renderChangesView();
+      },
+      graph: () => {
+        showGraphView();
+        renderGraphView(route.id);
+      },
+    };
+    if (pageRenderers[route.view]) {
+      applyingRoute = true;
+      try {
+        pageRenderers[route.view]();
+      } finally {
+        applyingRoute = false;
+      }
+      return;
+    }
+
+    const searchInput = isAttrs ? attributeSearchInput : objectSearchInput;
+    if (searchInput && searchInput.value !== route.q) {
+      searchInput.value = route.q;
+      if (isAttrs) renderAttributeList(route.q);
+      else renderObjectList(route.q);
+    }
+
+    applyingRoute = true;
+    try {
+      if (isAttrs) {
+        showAttributesView();
+        if (route.id === 'new') {
+          renderNewAttributeCreateForm();
+        } else if (route.id && route.action === 'edit' && Catalog.getAttributeById(route.id)) {
+          renderAttributeEditForm(route.id);
+        } else if (route.id) {
+          renderAttributeDetail(route.id);
+        } else if (lastSelectedAttributeId) {
+          renderAttributeDetail(lastSelectedAttributeId);
+        }
+      } else {
+        showObjectsView();
+        if (route.compare) {
+          renderObjectCompare(route.compare);
+        } else if (route.id === 'new') {
+          renderNewObjectCreateForm();
+        } else if (route.id && route.action === 'edit' && Catalog.getObjectById(route.id)) {
+          renderObjectEditForm(route.id);
+        } else if (route.id) {
+          renderObjectDetail(route.id);
+        } else if (lastSelectedObjectId || allObjects.length) {
+          // Objects tab is active by default: show last viewed (or first) object
+          renderObjectDetail(lastSelectedObjectId || allObjects[0].id);
+        }
+      }
+    } finally {
+      applyingRoute = false;
+    }
+
+    // Normalize the URL (e.g. empty hash on first load) without adding a history entry
+    setRoute(viewRoutes[route.view], { replace: true });
+  }
+
+  // ===========================
+  // INITIAL RENDER + SEARCH
+  // ===========================
+  renderObjectList();
+  renderAttributeList();
+
+  if (objectSearchInput) {
+    objectSearchInput.addEventListener('input', () => {
+      renderObjectList(objectSearchInput.value);
+      setRoute(viewRoutes.objects, { replace: true });
+    });
+  }
+  if (attributeSearchInput) {
+    attributeSearchInput.addEventListener('input', () => {
+      renderAttributeList(attributeSearchInput.value);
+      setRoute(viewRoutes.attributes, { replace: true });
+    });
+  }
+
+  // Initial render: honor a deep link if present, otherwise the objects tab
+  applyRoute();
+  window.addEventListener('popstate', applyRoute);
+});
+
+// ====== UTILS ======
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Return HTML snippet for a geometry icon based on geometry_type
+// contextClass should be either "geom-icon-list" or "geom-icon-inline"
+function getGeometryIconHTML(geometryType, contextClass) {
+  const geom = (geometryType || '').toUpperCase().trim();
+
+  const baseClass = 'geom-icon';
+  const fullClass = `${baseClass} ${contextClass || ''}`.trim();
+
+  if (geom === 'POLYGON') {
+    return `<span class="${fullClass} geom-poly"></span>`;
+  }
+
+  let symbol = '';
+  if (geom === 'POINT' || geom === 'MULTIPOINT') {
+    symbol = '•';
+  } else if (geom === 'POLYLINE' || geom === 'LINE') {
+    symbol = '〰️';
+  } else if (geom === 'TABLE') {
+    symbol = '▦';
+  } else {
+    symbol = '';
+  }
+
+  return `<span class="${fullClass}">${symbol}</span>`;
+}
+
+// Build ArcGIS Python schema script for an object
+// relationships: [{ rel, origin, destination }] (see getExportRelationships)
+function buildArcGisSchemaPython(obj, attrs, relationships = []) {
+  const lines = [];
+  const objId = obj.id || '';
+
+  lines.push('# -*- coding: utf-8 -*-');
+  lines.push('# Auto-generated ArcGIS schema script from National Lands Data Catalog');
+  lines.push(`# Object ID: ${objId}`);
+  if (obj.title) lines.push(`# Title: ${obj.title}`);
+  if (obj.description) lines.push(`# Description: ${obj.description}`);
+  lines.push('');
+
+  pushArcGisPreambleLines(lines);
+  pushArcGisAllDomainLines(lines, attrs);
+  pushArcGisObjectLines(lines, obj, attrs);
+  pushArcGisRelationshipLines(lines, relationships);
+
+  return lines.join('\n');
+}
+
+// Build ONE ArcGIS Python script that creates every given object (feature classes + tables)
+// and their shared domains in a single file geodatabase.
+// attrsForObject: (obj) => attribute[] (normally Catalog.getAttributesForObject)
+function buildArcGisCatalogSchemaPython(objects, attrsForObject, relationships = []) {
+  const lines = [];
+  const entries = (objects || []).map((obj) => ({ obj, attrs: attrsForObject(obj) || [] }));
+
+  lines.push('# -*- coding: utf-8 -*-');
+  lines.push('# Auto-generated ArcGIS catalog schema script from National Lands Data Catalog');
+  lines.push(`# Objects (${entries.length}): ${entries.map((e) => e.obj.id).join(', ')}`);
+  lines.push('');
+
+  pushArcGisPreambleLines(lines);
+  pushArcGisAllDomainLines(
+    lines,
+    entries.reduce((all, e) => all.concat(e.attrs), [])
+  );
+  entries.forEach((e) => pushArcGisObjectLines(lines, e.obj, e.attrs));
+  pushArcGisRelationshipLines(lines, relationships);
+
+  return lines.join('\n');
+}
+
+// Coded-value domains, then range domains, for the given attributes
+function pushArcGisAllDomainLines(lines, attrs) {
+  const codedSpecs = buildArcGisDomainSpecs(attrs);
+  pushArcGisDomainLines(lines, codedSpecs);
+  pushArcGisRangeDomainLines(lines, buildArcGisRangeDomainSpecs(attrs), codedSpecs.length > 0);
+}
+
+// Imports, target geodatabase (created if missing) and the add_fields() helper
+function pushArcGisPreambleLines(lines) {
+  lines.push('import os');
+  lines.push('import arcpy');
+  lines.push('');
+  lines.push('# TODO: Update these paths and settings before running');
+  lines.push('gdb = r"C:\\path\\to\\your.gdb"');
+  lines.push('');
+  lines.push('if not arcpy.Exists(gdb):');
+  lines.push('    arcpy.management.CreateFileGDB(os.path.dirname(gdb), os.path.basename(gdb))');
+  lines.push('');
+  lines.push('');
+  lines.push('def add_fields(table, fields):');
+  lines.push('    """Add fields given as (name, type, alias, length, precision, scale, nullable, default, domain) tuples."""');
+  lines.push('    for name, atype, alias, length, precision, scale, nullable, default, domain in fields:');
+  lines.push('        kwargs = {"field_alias": alias}');
+  lines.push('        if length is not None and atype == "TEXT":');
+  lines.push('            kwargs["field_length"] = length');
+  lines.push('        if precision is not None:');
+  lines.push('            kwargs["field_precision"] = precision');
+  lines.push('        if scale is not None:');
+  lines.push('            kwargs["field_scale"] = scale');
+  lines.push('        if not nullable:');
+  lines.push('            kwargs["field_is_nullable"] = "NON_NULLABLE"');
+  lines.push('        if domain is not None:');
+  lines.push('            kwargs["field_domain"] = domain');
+  lines.push('        arcpy.management.AddField(table, name, atype, **kwargs)');
+  lines.push('        if default is not None:');
+  lines.push('            arcpy.management.AssignDefaultToField(table, name, default)');
+  lines.push('');
+  lines.push('');
+}
+
+// Create one feature class (or table, for TABLE geometry) and add its attributes.
+// Existing datasets in the geodatabase are skipped rather than overwritten.
+function pushArcGisObjectLines(lines, obj, attrs) {
+  const objname = obj.objname || obj.id || '';
+  const geomType = mapGeometryTypeToArcGis(obj.geometry_type);
+  const epsg = parseEpsgCode(obj.projection);
+
+  lines.push('# ---------------------------------------------------------------------------');
+  lines.push(`# ${obj.id || objname}${obj.title ? ` - ${obj.title}` : ''}`);
+  lines.push('# ---------------------------------------------------------------------------');
+  lines.push(`name = ${toPythonString(objname)}`);
+  lines.push('if arcpy.Exists(os.path.join(gdb, name)):');
+  lines.push('    print("{} already exists; skipping".format(name))');
+  lines.push('else:');
+
+  if (!geomType) {
+    lines.push('    out_table = arcpy.management.CreateTable(gdb, name)[0]');
+  } else {
+    const sr = epsg
+      ? `arcpy.SpatialReference(${epsg})  # from ${obj.projection}`
+      : 'None  # TODO: set a spatial reference if desired';
+    lines.push(`    spatial_reference = ${sr}`);
+    lines.push(`    out_table = arcpy.management.CreateFeatureclass(gdb, name, "${geomType}", spatial_reference=spatial_reference)[0]`);
+  }
+
+  lines.push('    # (name, type, alias, length, precision, scale, nullable, default, domain)');
+  lines.push('    add_fields(out_table, [');
+  (attrs || []).forEach((attr) => {
+    const attrInfo = mapAttributeToArcGisAttributeSpec(attr);
+    const domainName = buildArcGisFieldDomainName(attr);
+    const pyOrNone = (v) => (v === null ? 'None' : v);
+
+    const defaultValue = getAttributeDefault(attr);
+    let pyDefault = 'None';
+    if (typeof defaultValue === 'boolean') pyDefault = defaultValue ? 1 : 0; // booleans are SHORT fields
+    else if (typeof defaultValue === 'number') pyDefault = defaultValue;
+    else if (defaultValue !== undefined) pyDefault = toPythonString(defaultValue);
+    const domain = domainName ? toPythonString(domainName) : 'None';
+
+    if (attr.pattern) lines.push(`        # ${attr.id} must match the pattern ${String(attr.pattern).replace(/[\r\n]+/g, ' ')} (not enforced by the geodatabase)`);
+    lines.push(
+      `        (${toPythonString(attr.id)}, "${attrInfo.type}", ${toPythonString(attr.alias || attr.label || '')}, ` +
+        `${pyOrNone(attrInfo.length)}, ${pyOrNone(attrInfo.precision)}, ${pyOrNone(attrInfo.scale)}, ` +
+        `${attrInfo.nullable ? 'True' : 'False'}, ${pyDefault}, ${domain}),`
+    );
+  });
+  lines.push('    ])');
+  lines.push('');
+}
+
+// Relationship classes between objects created above (or already in `gdb`).
+// Runs last so both tables exist; a relationship whose tables are missing is skipped.
+function pushArcGisRelationshipLines(lines, relationships) {
+  if (!relationships || !relationships.length) return;
+
+  lines.push('# ---------------------------------------------------------------------------');
+  lines.push('# Relationship classes');
+  lines.push('# ---------------------------------------------------------------------------');
+  lines.push('# (name, origin, destination, type, forward label, backward label, cardinality,');
+  lines.push('#  origin primary key, origin foreign key, destination primary key, destination foreign key)');
+  lines.push('relationships = [');
+  relationships.forEach(({ rel, origin, destination }) => {
+    const cardinality = RELATIONSHIP_CARDINALITIES[String(rel.cardinality || '').toLowerCase()] || RELATIONSHIP_CARDINALITIES.one_to_many;
+    if (rel.description) lines.push(`    # ${String(rel.description).replace(/[\r\n]+/g, ' ')}`);
+    lines.push(
+      `    (${toPythonString(rel.id)}, ${toPythonString(origin.objname || origin.id)}, ${toPythonString(destination.objname || destination.id)}, ` +
+        `"${rel.composite ? 'COMPOSITE' : 'SIMPLE'}", ${toPythonString(rel.forward_label || destination.title || destination.id)}, ` +
+        `${toPythonString(rel.backward_label || origin.title || origin.id)}, "${cardinality[0]}", ` +
+        `${toPythonString(rel.origin_primary_key)}, ${toPythonString(rel.origin_foreign_key)}, ` +
+        `${toPythonString(rel.destination_primary_key)}, ${toPythonString(rel.destination_foreign_key)}),`
+    );
+  });
+  lines.push(']');
+  lines.push('');
+  lines.push('for rname, origin, destination, rtype, forward, backward, cardinality, opk, ofk, dpk, dfk in relationships:');
+  lines.push('    origin_table = os.path.join(gdb, origin)');
+  lines.push('    destination_table = os.path.join(gdb, destination)');
+  lines.push('    if arcpy.Exists(os.path.join(gdb, rname)):');
+  lines.push('        print("Relationship class {} already exists; skipping".format(rname))');
+  lines.push('        continue');
+  lines.push('    if not (arcpy.Exists(origin_table) and arcpy.Exists(destination_table)):');
+  lines.push('        print("{}: {} or {} is missing; skipping".format(rname, origin, destination))');
+  lines.push('        continue');
+  lines.push('    # Composite relationships cascade deletes and messages from origin to destination');
+  lines.push('    arcpy.management.CreateRelationshipClass(');
+  lines.push('        origin_table, destination_table, os.path.join(gdb, rname), rtype, forward, backward,');
+  lines.push('        "FORWARD" if rtype == "COMPOSITE" else "NONE", cardinality, "NONE", opk, ofk, dpk, dfk)');
+  lines.push('');
+}
+
+// Catalog geometry_type (legacy "POLYGON" or form values like "polygon/area") -> arcpy shape type.
+// Returns null for TABLE (non-spatial) objects.
+function mapGeometryTypeToArcGis(geometryType) {
+  const g = String(geometryType || '').trim().toUpperCase();
+  if (g === 'TABLE') return null;
+  if (g === 'POINT') return 'POINT';
+  if (g === 'MULTIPOINT') return 'MULTIPOINT';
+  if (g === 'POLYLINE' || g === 'LINE') return 'POLYLINE';
+  return 'POLYGON';
+}
+
+// "EPSG:4326" -> "4326" (null if the projection has no EPSG code)
+function parseEpsgCode(projection) {
+  const m = String(projection || '').match(/EPSG:(\d+)/i);
+  return m ? m[1] : null;
+}
+
+// Coded-value domain for an enumerated attribute (null if it has no values).
+// The domain is named after the attribute, so every object using the attribute shares it.
+function buildArcGisDomainSpec(attr) {
+  if (!attr || attr.type !== 'enumerated' || !Array.isArray(attr.values) || !attr.values.length) return null;
+
+  const codes = attr.values.filter((v) => v && v.code !== undefined && v.code !== null);
+  if (!codes.length) return null;
+
+  return {
+    name: `dom_${attr.id}`,
+    description: attr.label || attr.id,
+    fieldType: mapAttributeToArcGisAttributeSpec(attr).type,
+    codes: codes.map((v) => ({
+      code: v.code,
+      label: v.label || String(v.code),
+      description: v.description || '',
+    })),
+  };
+}
+
+// Unique domain specs for a list of attributes (first occurrence wins)
+function buildArcGisDomainSpecs(attrs) {
+  const byName = new Map();
+  (attrs || []).forEach((attr) => {
+    const spec = buildArcGisDomainSpec(attr);
+    if (spec && !byName.has(spec.name)) byName.set(spec.name, spec);
+  });
+  return Array.from(byName.values());
+}
+
+// Largest values each numeric field type can hold (used for a missing min or max)
+const ARCGIS_RANGE_LIMITS = {
+  SHORT: 32767,
+  LONG: 2147483647,
+  DOUBLE: Number.MAX_VALUE,
+};
+
+// Range domain for an integer/float attribute with a numeric min and/or max (null otherwise)
+function buildArcGisRangeDomainSpec(attr) {
+  const t = String((attr && attr.type) || '').toLowerCase();
+  if (t !== 'integer' && t !== 'float') return null;
+  const hasMin = typeof attr.min === 'number' && Number.isFinite(attr.min);
+  const hasMax = typeof attr.max === 'number' && Number.isFinite(attr.max);
+  if (!hasMin && !hasMax) return null;
+
+  const fieldType = mapAttributeToArcGisAttributeSpec(attr).type;
+  const limit = ARCGIS_RANGE_LIMITS[fieldType];
+  return {
+    name: `rng_${attr.id}`,
+    description: attr.label || attr.id,
+    fieldType,
+    min: hasMin ? attr.min : -limit,
+    max: hasMax ? attr.max : limit,
+  };
+}
+
+function buildArcGisRangeDomainSpecs(attrs) {
+  const byName = new Map();
+  (attrs || []).forEach((attr) => {
+    const spec = buildArcGisRangeDomainSpec(attr);
+    if (spec && !byName.has(spec.name)) byName.set(spec.name, spec);
+  });
+  return Array.from(byName.values());
+}
+
+// The one domain a field can carry: coded values for enumerated attributes, else a range
+function buildArcGisFieldDomainName(attr) {
+  const spec = buildArcGisDomainSpec(attr) || buildArcGisRangeDomainSpec(attr);
+  return spec ? spec.name : null;
+}
+
+// Emit arcpy code that creates the given coded-value domains in `gdb`,
+// skipping any domain that already exists in the target geodatabase.
+function pushArcGisDomainLines(lines, domainSpecs) {
+  if (!domainSpecs.length) return;
+
+  lines.push('# Coded value domains for enumerated attributes: (name, field type, description, [(code, label)])');
+  lines.push('domains = [');
+  domainSpecs.forEach((d) => {
+    lines.push(`    (${toPythonString(d.name)}, "${d.fieldType}", ${toPythonString(d.description)}, [`);
+    d.codes.forEach((c) => {
+      const code = d.fieldType === 'TEXT' ? toPythonString(String(c.code)) : String(c.code);
+      const comment = c.description ? `  # ${c.description.replace(/[\r\n]+/g, ' ')}` : '';
+      lines.push(`        (${code}, ${toPythonString(c.label)}),${comment}`);
+    });
+    lines.push('    ]),');
+  });
+  lines.push(']');
+  lines.push('');
+  lines.push('# Create domains (shared across feature classes; existing domains are left untouched)');
+  lines.push('existing_domains = {d.name for d in arcpy.da.ListDomains(gdb)}');
+  lines.push('for dname, dtype, ddesc, codes in domains:');
+  lines.push('    if dname in existing_domains:');
+  lines.push('        print("Domain {} already exists; skipping creation".format(dname))');
+  lines.push('        continue');
+  lines.push('    arcpy.management.CreateDomain(gdb, dname, ddesc, dtype, "CODED")');
+  lines.push('    for code, label in codes:');
+  lines.push('        arcpy.management.AddCodedValueToDomain(gdb, dname, code, label)');
+  lines.push('    existing_domains.add(dname)');
+  lines.push('');
+}
+
+// Emit arcpy code that creates range domains for numeric attributes with min/max,
+// skipping any that already exist (existing_domains is defined by the coded-value block, if any)
+function pushArcGisRangeDomainLines(lines, rangeSpecs, hasCodedDomains) {
+  if (!rangeSpecs.length) return;
+
+  lines.push('# Range domains for numeric attributes with min/max: (name, field type, description, min, max)');
+  lines.push('range_domains = [');
+  rangeSpecs.forEach((d) => {
+    lines.push(`    (${toPythonString(d.name)}, "${d.fieldType}", ${toPythonString(d.description)}, ${d.min}, ${d.max}),`);
+  });
+  lines.push(']');
+  lines.push('');
+  if (!hasCodedDomains) lines.push('existing_domains = {d.name for d in arcpy.da.ListDomains(gdb)}');
+  lines.push('for dname, dtype, ddesc, dmin, dmax in range_domains:');
+  lines.push('    if dname in existing_domains:');
+  lines.push('        print("Domain {} already exists; skipping creation".format(dname))');
+  lines.push('        continue');
+  lines.push('    arcpy.management.CreateDomain(gdb, dname, ddesc, dtype, "RANGE")');
+  lines.push('    arcpy.management.SetValueForRangeDomain(gdb, dname, dmin, dmax)');
+  lines.push('    existing_domains.add(dname)');
+  lines.push('');
+}
+
+// Python string literal (JSON escaping is valid Python 3 syntax)
+function toPythonString(value) {
+  return JSON.stringify(String(value === undefined || value === null ? '' : value));
+}
+
+// ====== ATTRIBUTE CONSTRAINTS ======
+// length, precision/scale, nullable, default, min/max and pattern (defined in catalog-validate.js)
+
+// Form text -> stored value for ATTRIBUTE_EDIT_FIELDS types. Returns { value } (undefined when blank) or { error }.
+//   integer: whole number   boolean: "true"/"false"   value: number when numeric (keeps "007" as text)
+function parseAttributeFieldInput(fieldType, raw, label) {
+  const s = String(raw === undefined || raw === null ? '' : raw).trim();
+  if (!s) return { value: undefined };
+  switch (fieldType) {
+    case 'integer':
+      return /^-?\d+$/.test(s) ? { value: Number(s) } : { error: `${label} must be a whole number.` };
+    case 'boolean':
+      if (/^(true|yes)$/i.test(s)) return { value: true };
+      if (/^(false|no)$/i.test(s)) return { value: false };
+      return { error: `${label} must be true or false.` };
+    case 'value':
+      return { value: parseEnumCode(s, false) };
+    default:
+      return { value: s };
+  }
+}
+
+// Default value typed for the attribute: number, boolean or text (undefined when none).
+// An enumerated default may name a label; it resolves to that value's code, typed like the field.
+function getAttributeDefault(attr) {
+  if (!attr || attr.default === undefined || attr.default === null || attr.default === '') return undefined;
+  const t = String(attr.type || '').toLowerCase();
+  if (t === 'integer' || t === 'float') {
+    const n = Number(attr.default);
+    return Number.isFinite(n) ? n : undefined;
+  }
+  if (t === 'enumerated') {
+    const values = (Array.isArray(attr.values) ? attr.values : []).filter((v) => v && typeof v === 'object');
+    const s = String(attr.default).trim();
+    const match = values.find((v) => String(v.code) === s) || values.find((v) => String(v.label || '') === s);
+    const code = match ? match.code : attr.default;
+    if (mapAttributeToArcGisAttributeSpec(attr).type === 'LONG') {
+      const n = Number(code);
+      return Number.isInteger(n) ? n : undefined;
+    }
+    return String(code);
+  }
+  if (t === 'boolean') return attr.default === true || /^(true|1|yes)$/i.test(String(attr.default));
+  return String(attr.default);
+}
+
+// <option>s for a boolean form field; blank means "not set"
+function booleanFieldOptions(value) {
+  const current = value === undefined || value === null ? '' : String(value);
+  return [
+    ['', '(not set)'],
+    ['true', 'Yes'],
+    ['false', 'No'],
+  ]
+    .map(([v, label]) => `<option value="${v}"${v === current ? ' selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+// Constraint errors in attributes about to be submitted; returns false when the user cancels
+function confirmAttributeConstraints(attrs) {
+  const lines = [];
+  (attrs || []).forEach((a) => {
+    if (!a || typeof a !== 'object') return;
+    CatalogValidator.checkAttributeConstraints(a)
+      .filter((i) => i.severity === 'error')
+      .forEach((i) => lines.push(`- ${a.id || '(no id)'}: ${i.message}`));
+  });
+  if (!lines.length) return true;
+  return confirm(`These constraint problems were found:\n${lines.join('\n')}\n\nSubmit anyway?`);
+}
+
+// [label, text] pairs for the constraints an attribute defines, for detail views
+function describeAttributeConstraints(attr) {
+  const out = [];
+  if (!attr) return out;
+  if (attr.length !== undefined) out.push(['Length', `${attr.length} characters`]);
+  if (attr.precision !== undefined || attr.scale !== undefined) {
+    const parts = [];
+    if (attr.precision !== undefined) parts.push(`${attr.precision} digits`);
+    if (attr.scale !== undefined) parts.push(`${attr.scale} decimal places`);
+    out.push(['Precision', parts.join(', ')]);
+  }
+  if (attr.nullable !== undefined) out.push(['Nullable', attr.nullable === false ? 'No (a value is required)' : 'Yes']);
+  if (attr.default !== undefined) out.push(['Default', String(attr.default)]);
+  if (attr.min !== undefined && attr.max !== undefined) out.push(['Range', `${attr.min} to ${attr.max}`]);
+  else if (attr.min !== undefined) out.push(['Range', `at least ${attr.min}`]);
+  else if (attr.max !== undefined) out.push(['Range', `at most ${attr.max}`]);
+  if (attr.pattern !== undefined) out.push(['Pattern', String(attr.pattern)]);
+  return out;
+}
+
+// ====== ATTRIBUTE CHANGE IMPACT ======
+// Types whose values all convert without loss to the listed types (enumerated: see isAttributeTypeWidening)
+const ATTRIBUTE_TYPE_WIDENINGS = {
+  boolean: ['integer', 'float', 'string'],
+  integer: ['float', 'string'],
+  float: ['string'],
+  date: ['string'],
+  enumerated: ['string'],
+  string: [],
+};
+
+function isAttributeTypeWidening(original, updated) {
+  const from = String(original.type || '').toLowerCase();
+  const to = String(updated.type || '').toLowerCase();
+  if (from === to) return true;
+  // Integer codes also fit numeric fields
+  if (from === 'enumerated' && (to === 'integer' || to === 'float')) {
+    return (Array.isArray(original.values) ? original.values : []).every((v) => v && Number.isInteger(v.code));
+  }
+  return (ATTRIBUTE_TYPE_WIDENINGS[from] || []).includes(to);
+}
+
+// Numbers compare numerically, dates (YYYY-MM-DD) as text
+function compareAttributeBounds(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Changes that can invalidate existing data or break consumers, plus notes on the safe ones.
+// Returns { breaking: [{ kind, message }], notes: [string] };
+// kind: 'renamed' | 'type' | 'constraint' | 'enum_removed' | 'enum_renamed'
+function findAttributeChangeRisks(original, updated) {
+  const breaking = [];
+  const notes = [];
+  const add = (kind, message) => breaking.push({ kind, message });
+
+  if (updated.id !== original.id) {
+    add('renamed', `Attribute renamed from ${original.id} to ${updated.id}: fields named ${original.id} must be renamed in every object that uses it.`);
+  }
+
+  const fromType = String(original.type || '').toLowerCase();
+  const toType = String(updated.type || '').toLowerCase();
+  if (fromType !== toType) {
+    if (isAttributeTypeWidening(original, updated)) notes.push(`Type widened from ${fromType || '(none)'} to ${toType || '(none)'}.`);
+    else add('type', `Type narrowed from ${fromType || '(none)'} to ${toType || '(none)'}: existing values may not convert.`);
+  }
+
+  // Storage constraints (see CatalogValidator.CONSTRAINT_KEYS); text fields default to 255 characters in exports.
+  // A type change already gets its own verdict above, so lengths are only compared within the same type.
+  const oldLength = Number.isInteger(original.length) ? original.length : fromType === 'string' ? 255 : null;
+  if (fromType === toType && Number.isInteger(updated.length) && oldLength !== null && updated.length < oldLength) {
+    add('constraint', `Length reduced from ${oldLength} to ${updated.length}: longer values will be truncated or rejected.`);
+  }
+  ['precision', 'scale'].forEach((key) => {
+    if (!Number.isInteger(updated[key])) return;
+    if (!Number.isInteger(original[key])) {
+      if (key === 'precision') add('constraint', `Precision limited to ${updated.precision} digits (previously unlimited).`);
+    } else if (updated[key] < original[key]) {
+      add('constraint', `${key === 'precision' ? 'Precision' : 'Scale'} reduced from ${original[key]} to ${updated[key]}.`);
+    }
+  });
+  if (original.nullable !== false && updated.nullable === false) {
+    add('constraint', 'No longer nullable: records without a value become invalid.');
+  }
+  if (updated.min !== undefined && (original.min === undefined || compareAttributeBounds(updated.min, original.min) > 0)) {
+    add('constraint', `Minimum ${original.min === undefined ? 'set' : `raised from ${original.min}`} to ${updated.min}.`);
+  }
+  if (updated.max !== undefined && (original.max === undefined || compareAttributeBounds(updated.max, original.max) < 0)) {
+    add('constraint', `Maximum ${original.max === undefined ? 'set' : `lowered from ${original.max}`} to ${updated.max}.`);
+  }
+  if (updated.pattern !== undefined && updated.pattern !== original.pattern) {
+    add('constraint', `Pattern ${original.pattern === undefined ? 'added' : 'changed'} (${updated.pattern}): existing values may no longer match.`);
+  }
+
+  // Enumerated codes. A removed code whose label now has a new code counts as renamed.
+  if (toType === 'enumerated' && Array.isArray(original.values)) {
+    const oldValues = original.values.filter((v) => v && typeof v === 'object');
+    const newValues = (Array.isArray(updated.values) ? updated.values : []).filter((v) => v && typeof v === 'object');
+    const newByCode = new Map(newValues.map((v) => [String(v.code), v]));
+    const oldCodes = new Set(oldValues.map((v) => String(v.code)));
+    const added = newValues.filter((v) => !oldCodes.has(String(v.code)));
+    const labelKey = (v) => String(v.label || '').trim().toLowerCase();
+    const renamedTargets = new Set();
+
+    oldValues.forEach((v) => {
+      const code = String(v.code);
+      const kept = newByCode.get(code);
+      if (kept) {
+        if (labelKey(kept) !== labelKey(v)) notes.push(`Code ${code} relabeled from "${v.label || ''}" to "${kept.label || ''}".`);
+        return;
+      }
+      const renamedTo = labelKey(v) && added.find((a) => !renamedTargets.has(a) && labelKey(a) === labelKey(v));
+      if (renamedTo) {
+        renamedTargets.add(renamedTo);
+        add('enum_renamed', `Code ${code} (${v.label}) renamed to ${renamedTo.code}: stored ${code} values must be recoded.`);
+      } else {
+        add('enum_removed', `Code ${code}${v.label ? ` (${v.label})` : ''} removed: records using it become invalid.`);
+      }
+    });
+    added.forEach((v) => {
+      if (!renamedTargets.has(v)) notes.push(`Code ${v.code}${v.label ? ` (${v.label})` : ''} added.`);
+    });
+  }
+
+  return { breaking, notes };
+}
+
+// usage: { objects: [{ id, title, objname, group, required }], relationships: [{ id, keys: [field] }] }
+function buildAttributeImpact(original, updated, usage) {
+  return {
+    attributeId: original.id,
+    newId: updated.id !== original.id ? updated.id : null,
+    objects: (usage && usage.objects) || [],
+    relationships: (usage && usage.relationships) || [],
+    ...findAttributeChangeRisks(original, updated),
+  };
+}
+
+function describeAttributeUsage(u) {
+  const parts = [];
+  if (u.objname) parts.push(`table ${u.objname}`);
+  if (u.group) parts.push(`via group ${u.group}`);
+  if (u.required) parts.push('required');
+  return parts.join(', ');
+}
+
+// Markdown lines for an issue body
+function formatAttributeImpactMarkdown(impact) {
+  const lines = ['### Impact analysis', ''];
+  if (!impact.objects.length) {
+    lines.push(`No objects use \`${impact.attributeId}\`.`);
+  } else {
+    lines.push(`**${impact.objects.length} object(s)** use \`${impact.attributeId}\`:`);
+    impact.objects.forEach((u) => {
+      const extra = describeAttributeUsage(u);
+      lines.push(`- \`${u.id}\` — ${u.title || u.id}${extra ? ` (${extra})` : ''}`);
+    });
+  }
+  if (impact.relationships.length) {
+    lines.push('', '**Relationship keys:**');
+    impact.relationships.forEach((r) => lines.push(`- \`${r.id}\` (${r.keys.join(', ')})`));
+  }
+
+  lines.push('');
+  if (!impact.breaking.length) {
+    lines.push('No breaking changes detected.');
+  } else {
+    lines.push(`**Breaking changes (${impact.breaking.length}):**`);
+    impact.breaking.forEach((b) => lines.push(`- ⚠️ ${b.message}`));
+  }
+  if (impact.notes.length) {
+    lines.push('', '**Other changes:**');
+    impact.notes.forEach((n) => lines.push(`- ${n}`));
+  }
+  return lines;
+}
+
+// ====== ENUMERATED VALUES (editor helpers) ======
+// Code typed into the values editor: numeric text becomes a number unless the code was text before.
+// "01" stays text so leading zeros survive.
+function parseEnumCode(raw, keepText) {
+  const s = String(raw === undefined || raw === null ? '' : raw).trim();
+  if (!s) return undefined;
+  if (keepText) return s;
+  return String(Number(s)) === s ? Number(s) : s;
+}
+
+// Codes that occur more than once, compared as text like catalog-validate.js does
+function findDuplicateEnumCodes(values) {
+  const seen = new Set();
+  const dupes = new Set();
+  (values || []).forEach((v) => {
+    if (!v || v.code === undefined || v.code === null || String(v.code).trim() === '') return;
+    const key = String(v.code).trim();
+    if (seen.has(key)) dupes.add(key);
+    seen.add(key);
+  });
+  return Array.from(dupes);
+}
+
+// Values with a label or description but no code (the editor drops completely empty rows).
+// Returns their labels, for messages.
+function findEnumValuesWithoutCode(values) {
+  return (values || [])
+    .filter((v) => v && typeof v === 'object' && (v.code === undefined || v.code === null || String(v.code).trim() === ''))
+    .map((v) => String(v.label || v.description || '(no label)').trim());
+}
+
+// One CSV line; quoted cells may contain commas and "" escapes
+function splitCsvLine(line) {
+  const cells = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"' && !cur) quoted = true;
+    else if (ch === ',') {
+      cells.push(cur);
+      cur = '';
+    } else cur += ch;
+  }
+  cells.push(cur);
+  return cells;
+}
+
+// Rows pasted from a spreadsheet (tab-separated) or CSV: code, label, description.
+// A header row starting with "code" is skipped. Returns [{ code, label, description }] with text cells.
+function parseEnumValuesTable(text) {
+  const lines = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .filter((l) => l.trim());
+  const useTabs = lines.some((l) => l.includes('\t'));
+  const rows = lines.map((l) => (useTabs ? l.split('\t') : splitCsvLine(l)).map((c) => c.trim()));
+  if (rows.length && /^code$/i.test(rows[0][0] || '')) rows.shift();
+  return rows.map(([code = '', label = '', ...rest]) => ({ code, label, description: rest.join(useTabs ? ' ' : ', ').trim() }));
+}
+
+// ====== RELATIONSHIPS ======
+// See Catalog.getRelationships() for the record shape
+
+// cardinality -> [arcpy keyword, label from the origin side, label from the destination side]
+const RELATIONSHIP_CARDINALITIES = {
+  one_to_one: ['ONE_TO_ONE', 'One to one', 'One to one'],
+  one_to_many: ['ONE_TO_MANY', 'One to many', 'Many to one'],
+  many_to_many: ['MANY_TO_MANY', 'Many to many', 'Many to many'],
+};
+
+// Fields holding attribute ids
+const RELATIONSHIP_KEY_FIELDS = ['origin_primary_key', 'origin_foreign_key', 'destination_primary_key', 'destination_foreign_key'];
+
+function describeRelationshipCardinality(cardinality, fromOrigin) {
+  const entry = RELATIONSHIP_CARDINALITIES[String(cardinality || '').toLowerCase()];
+  return entry ? entry[fromOrigin ? 1 : 2] : String(cardinality || '');
+}
+
+// "origin.KEY → destination.KEY" (through the relationship table for many-to-many)
+function describeRelationshipKeys(rel) {
+  const keys = `${rel.origin}.${rel.origin_primary_key || '?'} → ${rel.destination}.${rel.origin_foreign_key || '?'}`;
+  if (String(rel.cardinality || '').toLowerCase() !== 'many_to_many') return keys;
+  return (
+    `${rel.origin}.${rel.origin_primary_key || '?'} → ${rel.origin_foreign_key || '?'}, ` +
+    `${rel.destination}.${rel.destination_primary_key || '?'} → ${rel.destination_foreign_key || '?'} (relationship table)`
+  );
+}
+
+// Relationship classes touching any of the objects, with both ends resolved: [{ rel, origin, destination }]
+function getExportRelationships(objects) {
+  const ids = new Set((objects || []).map((o) => o.id));
+  return Catalog.getRelationships()
+    .filter((rel) => ids.has(rel.origin) || ids.has(rel.destination))
+    .map((rel) => ({ rel, origin: Catalog.getObjectById(rel.origin), destination: Catalog.getObjectById(rel.destination) }))
+    .filter((r) => r.origin && r.destination);
+}
+
+// ====== CATALOG GRAPH ======
+// Objects are nodes. Edges join objects that share attributes (kind 'shared', attrIds)
+// or that a declared relationship links (kind 'relationship', rel; source = origin).
+function buildCatalogGraph(objects, attrsForObject, relationships = []) {
+  const attrIdsByObject = new Map();
+  const objectIdsByAttr = new Map();
+  objects.forEach((obj) => {
+    const ids = Array.from(new Set((attrsForObject(obj) || []).map((a) => a.id)));
+    attrIdsByObject.set(obj.id, ids);
+    ids.forEach((attrId) => {
+      if (!objectIdsByAttr.has(attrId)) objectIdsByAttr.set(attrId, []);
+      objectIdsByAttr.get(attrId).push(obj.id);
+    });
+  });
+
+  const nodes = objects.map((obj) => ({
+    id: obj.id,
+    label: obj.title || obj.id,
+    geometryType: obj.geometry_type || '',
+    attrIds: attrIdsByObject.get(obj.id),
+  }));
+
+  const edges = [];
+  for (let i = 0; i < nodes.length; i++) {
+    const own = new Set(nodes[i].attrIds);
+    for (let j = i + 1; j < nodes.length; j++) {
+      const attrIds = nodes[j].attrIds.filter((id) => own.has(id));
+      if (attrIds.length) edges.push({ kind: 'shared', source: nodes[i].id, target: nodes[j].id, attrIds });
+    }
+  }
+  relationships.forEach((rel) => {
+    if (attrIdsByObject.has(rel.origin) && attrIdsByObject.has(rel.destination)) {
+      edges.push({ kind: 'relationship', source: rel.origin, target: rel.destination, rel });
+    }
+  });
+
+  // Attributes in use, most widely shared first
+  const attributes = Array.from(objectIdsByAttr, ([id, objectIds]) => ({ id, objectIds })).sort(
+    (a, b) => b.objectIds.length - a.objectIds.length || a.id.localeCompare(b.id)
+  );
+
+  return { nodes, edges, attributes };
+}
+
+// Nodes on a circle (catalog order); returns { positions: Map id -> {x, y, angle}, viewBox }
+function layoutCatalogGraph(nodes) {
+  const radius = Math.max(160, nodes.length * 30);
+  const positions = new Map();
+  nodes.forEach((node, i) => {
+    const angle = nodes.length === 1 ? 0 : (2 * Math.PI * i) / nodes.length - Math.PI / 2;
+    positions.set(node.id, {
+      x: nodes.length === 1 ? 0 : Math.round(radius * Math.cos(angle)),
+      y: nodes.length === 1 ? 0 : Math.round(radius * Math.sin(angle)),
+      angle,
+    });
+  });
+  // Room for the labels outside the circle
+  const margin = 240;
+  return { positions, viewBox: { x: -radius - margin, y: -radius - 80, w: 2 * (radius + margin), h: 2 * (radius + 80) } };
+}
+
+const GRAPH_COLORS = {
+  background: '#1e1e1e',
+  text: '#e6e6e6',
+  muted: '#6b6b6b',
+  node: '#4ea3ff',
+  shared: '#8a8a8a',
+  relationship: '#c275ff',
+  highlight: '#ffb36b',
+};
+
+// Standalone SVG (inline styles, so the downloaded file looks the same as in the app).
+// options: highlightAttrId (blast radius: objects using that attribute), showShared, showRelationships
+function buildCatalogGraphSvg(graph, layout, { highlightAttrId = null, showShared = true, showRelationships = true } = {}) {
+  const c = GRAPH_COLORS;
+  const { positions, viewBox: vb } = layout;
+  const highlighted = highlightAttrId ? new Set(graph.nodes.filter((n) => n.attrIds.includes(highlightAttrId)).map((n) => n.id)) : null;
+  const truncate = (str, max) => (str.length > max ? `${str.slice(0, max - 1)}…` : str);
+
+  const lines = [];
+  lines.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${vb.x} ${vb.y} ${vb.w} ${vb.h}" width="${vb.w}" height="${vb.h}" font-family="system-ui, sans-serif" font-size="13">`
+  );
+  lines.push('  <defs>');
+  lines.push(
+    `    <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="${c.relationship}"/></marker>`
+  );
+  lines.push('  </defs>');
+  lines.push(`  <rect x="${vb.x}" y="${vb.y}" width="${vb.w}" height="${vb.h}" fill="${c.background}"/>`);
+
+  const nodeRadius = 18;
+  graph.edges.forEach((edge) => {
+    if (edge.kind === 'shared' ? !showShared : !showRelationships) return;
+    const a = positions.get(edge.source);
+    const b = positions.get(edge.target);
+    if (!a || !b) return;
+
+    const inRadius = highlighted && edge.kind === 'shared' && edge.attrIds.includes(highlightAttrId);
+    const faded = highlighted && !inRadius && !(highlighted.has(edge.source) && highlighted.has(edge.target));
+    const opacity = faded ? 0.15 : 0.85;
+
+    if (edge.kind === 'shared') {
+      const width = inRadius ? 3 : 1 + Math.min(edge.attrIds.length, 8) * 0.5;
+      lines.push(
+        `  <line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke="${inRadius ? c.highlight : c.shared}" stroke-width="${width}" stroke-opacity="${opacity}"><title>${escapeHtml(
+          `${edge.source} ↔ ${edge.target}: ${edge.attrIds.length} shared attribute(s): ${edge.attrIds.join(', ')}`
+        )}</title></line>`
+      );
+    } else {
+      // Stop at the node's edge so the arrowhead stays visible
+      const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      const dx = ((b.x - a.x) / len) * (nodeRadius + 2);
+      const dy = ((b.y - a.y) / len) * (nodeRadius + 2);
+      const rel = edge.rel;
+      lines.push(
+        `  <line x1="${Math.round(a.x + dx)}" y1="${Math.round(a.y + dy)}" x2="${Math.round(b.x - dx)}" y2="${Math.round(b.y - dy)}" stroke="${c.relationship}" stroke-width="2.5" stroke-dasharray="6 4" stroke-opacity="${opacity}" marker-end="url(#graph-arrow)"><title>${escapeHtml(
+          `${rel.id}: ${rel.origin} → ${rel.destination} (${describeRelationshipCardinality(rel.cardinality, true)}${rel.composite ? ', composite' : ''})`
+        )}</title></line>`
+      );
+    }
+  });
+
+  graph.nodes.forEach((node) => {
+    const p = positions.get(node.id);
+    const on = highlighted && highlighted.has(node.id);
+    const faded = highlighted && !on;
+    const cos = Math.cos(p.angle);
+    const anchor = cos > 0.3 ? 'start' : cos < -0.3 ? 'end' : 'middle';
+    const lx = Math.round(p.x + cos * (nodeRadius + 8));
+    const ly = Math.round(p.y + Math.sin(p.angle) * (nodeRadius + 8) + (anchor === 'middle' ? (Math.sin(p.angle) > 0 ? 12 : -4) : 4));
+    lines.push(
+      `  <g data-graph-object-id="${escapeHtml(node.id)}" cursor="pointer" opacity="${faded ? 0.35 : 1}">` +
+        `<title>${escapeHtml(`${node.label} (${node.id}): ${node.attrIds.length} attribute(s)`)}</title>` +
+        `<circle cx="${p.x}" cy="${p.y}" r="${nodeRadius}" fill="${on ? c.highlight : c.node}" stroke="${c.background}" stroke-width="2"/>` +
+        `<text x="${p.x}" y="${p.y + 4}" text-anchor="middle" font-size="11" fill="${c.background}">${node.attrIds.length}</text>` +
+        `<text x="${lx}" y="${ly}" text-anchor="${anchor}" fill="${faded ? c.muted : c.text}">${escapeHtml(truncate(node.label, 34))}</text>` +
+        '</g>'
+    );
+  });
+
+  lines.push('</svg>');
+  return lines.join('\n');
+}
+
+// Render an SVG string to a PNG Blob (scale 2 for slides)
+function renderSvgToPngBlob(svgText, width, height, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The browser could not create the PNG'))), 'image/png');
+    };
+    img.onerror = () => reject(new Error('The browser could not render the SVG'));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+  });
+}
+
+// ====== SCHEMA EXPORT FORMATS ======
+// Offered on the object page (one object) and in the objects sidebar (whole catalog / search results).
+// buildObject(obj, attrs) and buildCatalog(objects, attrsForObject) both return the file text.
+const SCHEMA_EXPORT_FORMATS = [
+  {
+    key: 'arcpy',
+    label: 'ArcGIS schema (Python)',
+    fileSuffix: 'schema_arcpy.py',
+    buildObject: (obj, attrs) => buildArcGisSchemaPython(obj, attrs, getExportRelationships([obj])),
+    buildCatalog: (objects, attrsForObject) =>
+      buildArcGisCatalogSchemaPython(objects, attrsForObject, getExportRelationships(objects)),
+  },
+  {
+    key: 'xml-workspace',
+    label: 'XML Workspace Document',
+    fileSuffix: 'schema_workspace.xml',
+    buildObject: (obj, attrs) => buildArcGisXmlWorkspace([obj], () => attrs),
+    buildCatalog: (objects, attrsForObject) => buildArcGisXmlWorkspace(objects, attrsForObject),
+  },
+  {
+    key: 'sql-postgis',
+    label: 'SQL DDL (PostgreSQL/PostGIS)',
+    fileSuffix: 'schema_postgis.sql',
+    buildObject: (obj, attrs) => buildSqlDdl([obj], () => attrs, 'postgis'),
+    buildCatalog: (objects, attrsForObject) => buildSqlDdl(objects, attrsForObject, 'postgis'),
+  },
+  {
+    key: 'sql-sqlserver',
+    label: 'SQL DDL (SQL Server spatial)',
+    fileSuffix: 'schema_sqlserver.sql',
+    buildObject: (obj, attrs) => buildSqlDdl([obj], () => attrs, 'sqlserver'),
+    buildCatalog: (objects, attrsForObject) => buildSqlDdl(objects, attrsForObject, 'sqlserver'),
+  },
+];
+
+function getSchemaExportFormat(key) {
+  return SCHEMA_EXPORT_FORMATS.find((f) => f.key === key) || SCHEMA_EXPORT_FORMATS[0];
+}
+
+// Build an ArcGIS XML Workspace Document (schema only, no data) for the given objects.
+// Enumerated attributes become coded-value domains; TABLE objects become tables.
+function buildArcGisXmlWorkspace(objects, attrsForObject) {
+  const entries = (objects || []).map((obj) => ({ obj, attrs: attrsForObject(obj) || [] }));
+  const allAttrs = entries.reduce((all, e) => all.concat(e.attrs), []);
+  const domainSpecs = buildArcGisDomainSpecs(allAttrs);
+  const rangeSpecs = buildArcGisRangeDomainSpecs(allAttrs);
+
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push(
+    '<esri:Workspace xmlns:esri="http://www.esri.com/schemas/ArcGIS/10.8" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xs="http://www.w3.org/2001/XMLSchema">'
+  );
+  out.push('  <WorkspaceDefinition xsi:type="esri:WorkspaceDefinition">');
+  out.push('    <WorkspaceType>esriLocalDatabaseWorkspace</WorkspaceType>');
+  out.push('    <Version></Version>');
+
+  out.push('    <Domains xsi:type="esri:ArrayOfDomain">');
+  domainSpecs.forEach((d) => out.push(buildXmlCodedValueDomain(d, '      ')));
+  rangeSpecs.forEach((d) => out.push(buildXmlRangeDomain(d, '      ')));
+  out.push('    </Domains>');
+
+  out.push('    <DatasetDefinitions xsi:type="esri:ArrayOfDataElement">');
+  entries.forEach((e) => out.push(buildXmlDataElement(e.obj, e.attrs, '      ')));
+  out.push('    </DatasetDefinitions>');
+
+  out.push('    <Metadata xsi:type="esri:XmlPropertySet"><XmlDoc></XmlDoc></Metadata>');
+  out.push('  </WorkspaceDefinition>');
+  out.push('  <WorkspaceData xsi:type="esri:WorkspaceData"></WorkspaceData>');
+  out.push('</esri:Workspace>');
+
+  return out.join('\n');
+}
+
+// arcpy field type -> [esri field type, default length, xs value type]
+const XML_FIELD_TYPES = {
+  TEXT: ['esriFieldTypeString', 255, 'xs:string'],
+  LONG: ['esriFieldTypeInteger', 4, 'xs:int'],
+  SHORT: ['esriFieldTypeSmallInteger', 2, 'xs:short'],
+  DOUBLE: ['esriFieldTypeDouble', 8, 'xs:double'],
+  DATE: ['esriFieldTypeDate', 8, 'xs:dateTime'],
+};
+
+const XML_GEOMETRY_TYPES = {
+  POINT: 'esriGeometryPoint',
+  MULTIPOINT: 'esriGeometryMultipoint',
+  POLYLINE: 'esriGeometryPolyline',
+  POLYGON: 'esriGeometryPolygon',
+};
+
+function buildXmlCodedValueDomain(d, indent) {
+  const codeType = d.fieldType === 'TEXT' ? 'xs:string' : 'xs:int';
+  const lines = [
+    `<Domain xsi:type="esri:CodedValueDomain">`,
+    `  <DomainName>${escapeHtml(d.name)}</DomainName>`,
+    `  <FieldType>${XML_FIELD_TYPES[d.fieldType][0]}</FieldType>`,
+    '  <MergePolicy>esriMPTDefaultValue</MergePolicy>',
+    '  <SplitPolicy>esriSPTDefaultValue</SplitPolicy>',
+    `  <Description>${escapeHtml(d.description)}</Description>`,
+    '  <Owner></Owner>',
+    '  <CodedValues xsi:type="esri:ArrayOfCodedValue">',
+  ];
+  d.codes.forEach((c) => {
+    lines.push(
+      '    <CodedValue xsi:type="esri:CodedValue">',
+      `      <Name>${escapeHtml(c.label)}</Name>`,
+      `      <Code xsi:type="${codeType}">${escapeHtml(String(c.code))}</Code>`,
+      '    </CodedValue>'
+    );
+  });
+  lines.push('  </CodedValues>', '</Domain>');
+  return lines.join('\n').replace(/^/gm, indent);
+}
+
+function buildXmlRangeDomain(d, indent) {
+  const valueType = XML_FIELD_TYPES[d.fieldType][2];
+  return [
+    `<Domain xsi:type="esri:RangeDomain">`,
+    `  <DomainName>${escapeHtml(d.name)}</DomainName>`,
+    `  <FieldType>${XML_FIELD_TYPES[d.fieldType][0]}</FieldType>`,
+    '  <MergePolicy>esriMPTDefaultValue</MergePolicy>',
+    '  <SplitPolicy>esriSPTDefaultValue</SplitPolicy>',
+    `  <Description>${escapeHtml(d.description)}</Description>`,
+    '  <Owner></Owner>',
+    `  <MaxValue xsi:type="${valueType}">${d.max}</MaxValue>`,
+    `  <MinValue xsi:type="${valueType}">${d.min}</MinValue>`,
+    '</Domain>',
+  ]
+    .join('\n')
+    .replace(/^/gm, indent);
+}
+
+function buildXmlSpatialReference(projection) {
+  const wkid = parseEpsgCode(projection);
+  if (!wkid) return '<SpatialReference xsi:type="esri:UnknownCoordinateSystem"></SpatialReference>';
+  // EPSG 4000-4999 are geographic coordinate systems; everything else is treated as projected
+  const n = Number(wkid);
+  const srType = n >= 4000 && n < 5000 ? 'esri:GeographicCoordinateSystem' : 'esri:ProjectedCoordinateSystem';
+  return `<SpatialReference xsi:type="${srType}"><WKID>${wkid}</WKID><LatestWKID>${wkid}</LatestWKID></SpatialReference>`;
+}
+
+// Element order follows the esri:Field schema (GeometryDef before AliasName, Domain last)
+function buildXmlField({
+  name,
+  type,
+  alias,
+  length,
+  precision = 0,
+  scale = 0,
+  nullable = true,
+  required = false,
+  editable = true,
+  geometryDef = '',
+  defaultValue = '',
+  domain = '',
+}) {
+  return [
+    '<Field xsi:type="esri:Field">',
+    `  <Name>${escapeHtml(name)}</Name>`,
+    `  <Type>${type}</Type>`,
+    `  <IsNullable>${nullable}</IsNullable>`,
+    `  <Length>${length}</Length>`,
+    `  <Precision>${precision}</Precision>`,
+    `  <Scale>${scale}</Scale>`,
+    `  <Required>${required}</Required>`,
+    `  <Editable>${editable}</Editable>`,
+    geometryDef,
+    `  <AliasName>${escapeHtml(alias || name)}</AliasName>`,
+    `  <ModelName>${escapeHtml(name)}</ModelName>`,
+    defaultValue,
+    domain,
+    '</Field>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function buildXmlDataElement(obj, attrs, indent) {
+  const name = obj.objname || obj.id || '';
+  const geomType = mapGeometryTypeToArcGis(obj.geometry_type);
+  const isTable = !geomType;
+  const esriGeom = isTable ? null : XML_GEOMETRY_TYPES[geomType];
+  const spatialRef = isTable ? '' : buildXmlSpatialReference(obj.projection);
+
+  const fields = [
+    buildXmlField({ name: 'OBJECTID', type: 'esriFieldTypeOID', length: 4, nullable: false, required: true, editable: false }),
+  ];
+
+  if (!isTable) {
+    fields.push(
+      buildXmlField({
+        name: 'SHAPE',
+        type: 'esriFieldTypeGeometry',
+        length: 0,
+        required: true,
+        geometryDef: [
+          '  <GeometryDef xsi:type="esri:GeometryDef">',
+          '    <AvgNumPoints>0</AvgNumPoints>',
+          `    <GeometryType>${esriGeom}</GeometryType>`,
+          '    <HasM>false</HasM>',
+          '    <HasZ>false</HasZ>',
+          `    ${spatialRef}`,
+          '    <GridSize0>0</GridSize0>',
+          '  </GeometryDef>',
+        ].join('\n'),
+      })
+    );
+  }
+
+  (attrs || []).forEach((attr) => {
+    const spec = mapAttributeToArcGisAttributeSpec(attr);
+    const [esriType, defaultLength, valueType] = XML_FIELD_TYPES[spec.type] || XML_FIELD_TYPES.TEXT;
+    const domainSpec = buildArcGisDomainSpec(attr);
+    const rangeSpec = domainSpec ? null : buildArcGisRangeDomainSpec(attr);
+
+    let defaultValue = getAttributeDefault(attr);
+    if (typeof defaultValue === 'boolean') defaultValue = defaultValue ? 1 : 0;
+    fields.push(
+      buildXmlField({
+        name: attr.id,
+        type: esriType,
+        alias: attr.alias || attr.label,
+        length: spec.length === null ? defaultLength : spec.length,
+        precision: spec.precision === null ? 0 : spec.precision,
+        scale: spec.scale === null ? 0 : spec.scale,
+        nullable: spec.nullable,
+        defaultValue:
+          defaultValue === undefined
+            ? ''
+            : `  <DefaultValue xsi:type="${valueType}">${escapeHtml(String(defaultValue))}</DefaultValue>`,
+        domain: domainSpec
+          ? buildXmlCodedValueDomain(domainSpec, '  ')
+          : rangeSpec
+            ? buildXmlRangeDomain(rangeSpec, '  ')
+            : '',
+      })
+    );
+  });
+
+  const lines = [
+    `<DataElement xsi:type="${isTable ? 'esri:DETable' : 'esri:DEFeatureClass'}">`,
+    `  <CatalogPath>/${isTable ? 'OC' : 'FC'}=${escapeHtml(name)}</CatalogPath>`,
+    `  <Name>${escapeHtml(name)}</Name>`,
+    '  <ChildrenExpanded>false</ChildrenExpanded>',
+    `  <DatasetType>${isTable ? 'esriDTTable' : 'esriDTFeatureClass'}</DatasetType>`,
+    '  <Versioned>false</Versioned>',
+    '  <CanVersion>false</CanVersion>',
+    '  <ConfigurationKeyword></ConfigurationKeyword>',
+    '  <HasOID>true</HasOID>',
+    '  <OIDFieldName>OBJECTID</OIDFieldName>',
+    '  <Fields xsi:type="esri:Fields">',
+    '    <FieldArray xsi:type="esri:ArrayOfField">',
+    fields.map((f) => f.replace(/^/gm, '      ')).join('\n'),
+    '    </FieldArray>',
+    '  </Fields>',
+    '  <Indexes xsi:type="esri:Indexes"><IndexArray xsi:type="esri:ArrayOfIndex"></IndexArray></Indexes>',
+    `  <CLSID>${isTable ? '{7A566981-C114-11D2-8A28-006097AFF44E}' : '{52353152-891A-11D0-BEC6-00805F7C4268}'}</CLSID>`,
+    '  <EXTCLSID></EXTCLSID>',
+    '  <RelationshipClassNames xsi:type="esri:Names"></RelationshipClassNames>',
+    `  <AliasName>${escapeHtml(obj.title || name)}</AliasName>`,
+    '  <ModelName></ModelName>',
+    '  <HasGlobalID>false</HasGlobalID>',
+    '  <GlobalIDFieldName></GlobalIDFieldName>',
+    '  <RasterFieldName></RasterFieldName>',
+    '  <ExtensionProperties xsi:type="esri:PropertySet"><PropertyArray xsi:type="esri:ArrayOfPropertySetProperty"></PropertyArray></ExtensionProperties>',
+    '  <ControllerMemberships xsi:type="esri:ArrayOfControllerMembership"></ControllerMemberships>',
+  ];
+
+  if (!isTable) {
+    lines.push(
+      '  <FeatureType>esriFTSimple</FeatureType>',
+      `  <ShapeType>${esriGeom}</ShapeType>`,
+      '  <ShapeFieldName>SHAPE</ShapeFieldName>',
+      '  <HasM>false</HasM>',
+      '  <HasZ>false</HasZ>',
+      '  <HasSpatialIndex>true</HasSpatialIndex>',
+      '  <AreaFieldName></AreaFieldName>',
+      '  <LengthFieldName></LengthFieldName>',
+      '  <Extent xsi:nil="true"></Extent>',
+      `  ${spatialRef}`
+    );
+  }
+
+  lines.push('</DataElement>');
+  return lines.join('\n').replace(/^/gm, indent);
+}
+
+// Build SQL DDL for the given objects.
+// dialect: 'postgis' (PostgreSQL + PostGIS) or 'sqlserver' (SQL Server spatial)
+// Enumerated attributes become shared lookup tables (lu_<attribute>) referenced by foreign keys;
+// definitions become COMMENT ON (PostgreSQL) or MS_Description extended properties (SQL Server).
+function buildSqlDdl(objects, attrsForObject, dialect) {
+  const d = SQL_DIALECTS[dialect] || SQL_DIALECTS.postgis;
+  const entries = (objects || []).map((obj) => ({ obj, attrs: attrsForObject(obj) || [] }));
+  const domainSpecs = buildArcGisDomainSpecs(entries.reduce((all, e) => all.concat(e.attrs), []));
+
+  const lines = [];
+  lines.push(`-- Auto-generated ${d.label} schema DDL from National Lands Data Catalog`);
+  lines.push(`-- Objects (${entries.length}): ${entries.map((e) => e.obj.id).join(', ')}`);
+  lines.push('');
+  lines.push(...d.preamble);
+
+  // Lookup tables first so attribute columns can reference them
+  domainSpecs.forEach((spec) => {
+    const lookup = `lu_${spec.name.replace(/^dom_/, '')}`;
+    const codeType = spec.fieldType === 'TEXT' ? d.types.string : d.types.integer;
+    lines.push(`-- Allowed values for ${spec.description}`);
+    lines.push(
+      d.createTable(lookup, [
+        `${d.ident('code')} ${codeType} PRIMARY KEY`,
+        `${d.ident('label')} ${d.types.string} NOT NULL`,
+        `${d.ident('description')} ${d.types.text}`,
+      ])
+    );
+    spec.codes.forEach((c) => {
+      const code = spec.fieldType === 'TEXT' ? d.str(String(c.code)) : String(c.code);
+      lines.push(d.insertLookupRow(lookup, code, d.str(c.label), c.description ? d.str(c.description) : 'NULL'));
+    });
+    lines.push('');
+  });
+
+  entries.forEach(({ obj, attrs }) => {
+    const tableName = obj.objname || obj.id || '';
+    const geomType = mapGeometryTypeToArcGis(obj.geometry_type);
+    const srid = parseEpsgCode(obj.projection);
+
+    const columns = [d.primaryKey];
+    const todos = [];
+    if (geomType) columns.push(d.geometryColumn(geomType, srid));
+
+    (attrs || []).forEach((attr) => {
+      let col = `${d.ident(attr.id)} ${mapAttributeToSqlType(attr, d)}`;
+      if (!mapAttributeToArcGisAttributeSpec(attr).nullable) col += ' NOT NULL';
+      const defaultLiteral = toSqlLiteral(attr, getAttributeDefault(attr), d);
+      if (defaultLiteral !== null) col += ` DEFAULT ${defaultLiteral}`;
+      if (buildArcGisDomainSpec(attr)) {
+        col += ` REFERENCES ${d.table(`lu_${attr.id}`)} (${d.ident('code')})`;
+      }
+      const checks = buildSqlColumnChecks(attr, d);
+      if (checks.length) col += ` CHECK (${checks.join(' AND ')})`;
+      columns.push(col);
+      if (attr.pattern && !d.patternCheck) {
+        todos.push(`-- TODO: ${d.ident(attr.id)} must match the pattern ${String(attr.pattern).replace(/[\r\n]+/g, ' ')}`);
+      }
+    });
+
+    lines.push('-- ---------------------------------------------------------------------------');
+    lines.push(`-- ${obj.id}${obj.title ? ` - ${obj.title}` : ''}`);
+    lines.push('-- ---------------------------------------------------------------------------');
+    lines.push(...todos);
+    lines.push(d.createTable(tableName, columns));
+    if (geomType) lines.push(d.spatialIndex(tableName, obj.extent, srid));
+
+    if (obj.description) lines.push(d.comment(tableName, null, obj.description));
+    (attrs || []).forEach((attr) => {
+      if (attr.definition) lines.push(d.comment(tableName, attr.id, attr.definition));
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+function mapAttributeToSqlType(attr, d) {
+  const t = (attr.type || '').toLowerCase();
+  const spec = mapAttributeToArcGisAttributeSpec(attr);
+  if (t === 'enumerated') {
+    return spec.type === 'TEXT' ? d.varchar(spec.length) : d.types.integer;
+  }
+  if (t === 'float' && spec.precision !== null) return d.numeric(spec.precision, spec.scale);
+  if (t === 'integer' && spec.precision !== null && spec.precision > 9) return d.numeric(spec.precision, 0);
+  if (t === 'text' && attr.length === undefined) return d.types.text;
+  if (t !== 'string' && t !== 'text' && d.types[t]) return d.types[t];
+  return d.varchar(spec.length);
+}
+
+// SQL literal for a value of the attribute's type (null when there is no value)
+function toSqlLiteral(attr, value, d) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return d.bool(value);
+  const t = String(attr.type || '').toLowerCase();
+  if (typeof value === 'number' && (t === 'integer' || t === 'float' || t === 'enumerated')) return String(value);
+  if (t === 'boolean') return d.bool(/^(true|1|yes)$/i.test(String(value)));
+  return d.str(String(value));
+}
+
+// CHECK conditions for min/max (numbers and dates) and pattern
+function buildSqlColumnChecks(attr, d) {
+  const t = String(attr.type || '').toLowerCase();
+  const col = d.ident(attr.id);
+  const checks = [];
+  if (t === 'integer' || t === 'float' || t === 'date') {
+    const bound = (v) => (t === 'date' ? d.str(String(v)) : String(v));
+    if (attr.min !== undefined) checks.push(`${col} >= ${bound(attr.min)}`);
+    if (attr.max !== undefined) checks.push(`${col} <= ${bound(attr.max)}`);
+  }
+  if (attr.pattern && d.patternCheck) checks.push(d.patternCheck(col, String(attr.pattern)));
+  return checks;
+}
+
+// arcpy shape type -> OGC type name (multipart, like ArcGIS lines/polygons)
+const SQL_GEOMETRY_TYPES = {
+  POINT: 'Point',
+  MULTIPOINT: 'MultiPoint',
+  POLYLINE: 'MultiLineString',
+  POLYGON: 'MultiPolygon',
+};
+
+// The catalog extent is in degrees, so it only makes a valid bounding box for geographic systems
+function isGeographicEpsg(srid) {
+  const n = Number(srid);
+  return n >= 4000 && n < 5000;
+}
+
+// Dialect helpers take RAW table/column names and do their own quoting.
+const SQL_DIALECTS = {
+  postgis: {
+    label: 'PostgreSQL/PostGIS',
+    preamble: ['CREATE EXTENSION IF NOT EXISTS postgis;', ''],
+    types: {
+      string: 'VARCHAR(255)',
+      text: 'TEXT',
+      integer: 'INTEGER',
+      float: 'DOUBLE PRECISION',
+      boolean: 'BOOLEAN',
+      date: 'DATE',
+    },
+    varchar: (length) => `VARCHAR(${length})`,
+    numeric: (precision, scale) => `NUMERIC(${precision}, ${scale})`,
+    bool: (value) => (value ? 'TRUE' : 'FALSE'),
+    patternCheck(column, pattern) {
+      return `${column} ~ ${this.str(`^(?:${pattern})$`)}`;
+    },
+    primaryKey: 'objectid INTEGER GENERATED ALWAYS AS IDENTITY PRIMARY KEY',
+    // Unquoted lowercase identifiers are the PostgreSQL norm; quote only when needed
+    ident(name) {
+      const n = String(name).toLowerCase();
+      return /^[a-z_][a-z0-9_]*$/.test(n) ? n : `"${n.replace(/"/g, '""')}"`;
+    },
+    table(name) {
+      return this.ident(name);
+    },
+    str: (value) => `'${String(value).replace(/'/g, "''")}'`,
+    createTable(name, columns) {
+      return `CREATE TABLE IF NOT EXISTS ${this.table(name)} (\n  ${columns.join(',\n  ')}\n);`;
+    },
+    insertLookupRow(name, code, label, description) {
+      return (
+        `INSERT INTO ${this.table(name)} (code, label, description) ` +
+        `VALUES (${code}, ${label}, ${description}) ON CONFLICT (code) DO NOTHING;`
+      );
+    },
+    geometryColumn: (geomType, srid) => `geom geometry(${SQL_GEOMETRY_TYPES[geomType]}${srid ? `, ${srid}` : ''})`,
+    spatialIndex(name) {
+      const idx = this.ident(`${String(name).toLowerCase()}_geom_idx`);
+      return `CREATE INDEX IF NOT EXISTS ${idx} ON ${this.table(name)} USING GIST (geom);`;
+    },
+    comment(name, column, text) {
+      return column
+        ? `COMMENT ON COLUMN ${this.table(name)}.${this.ident(column)} IS ${this.str(text)};`
+        : `COMMENT ON TABLE ${this.table(name)} IS ${this.str(text)};`;
+    },
+  },
+  sqlserver: {
+    label: 'SQL Server spatial',
+    preamble: ['-- Intended for an empty database: extended properties and spatial indexes are not re-runnable.', ''],
+    types: {
+      string: 'NVARCHAR(255)',
+      text: 'NVARCHAR(MAX)',
+      integer: 'INT',
+      float: 'FLOAT',
+      boolean: 'BIT',
+      date: 'DATE',
+    },
+    varchar: (length) => `NVARCHAR(${length})`,
+    numeric: (precision, scale) => `DECIMAL(${precision}, ${scale})`,
+    bool: (value) => (value ? '1' : '0'),
+    patternCheck: null, // no regular expressions in T-SQL; a TODO comment is emitted instead
+    primaryKey: '[OBJECTID] INT IDENTITY(1,1) PRIMARY KEY',
+    ident: (name) => `[${String(name).replace(/]/g, ']]')}]`,
+    table(name) {
+      return `dbo.${this.ident(name)}`;
+    },
+    str: (value) => `N'${String(value).replace(/'/g, "''")}'`,
+    createTable(name, columns) {
+      return (
+        `IF OBJECT_ID(${this.str(this.table(name))}, N'U') IS NULL\n` +
+        `CREATE TABLE ${this.table(name)} (\n  ${columns.join(',\n  ')}\n);`
+      );
+    },
+    insertLookupRow(name, code, label, description) {
+      return (
+        `IF NOT EXISTS (SELECT 1 FROM ${this.table(name)} WHERE [code] = ${code}) ` +
+        `INSERT INTO ${this.table(name)} ([code], [label], [description]) VALUES (${code}, ${label}, ${description});`
+      );
+    },
+    // SQL Server geometry is untyped: constrain SRID and shape type with a CHECK instead
+    geometryColumn: (geomType, srid) => {
+      const ogc = SQL_GEOMETRY_TYPES[geomType];
+      const checks = [`[Shape].STGeometryType() IN ('${ogc.replace(/^Multi/, '')}', '${ogc}')`];
+      if (srid) checks.unshift(`[Shape].STSrid = ${srid}`);
+      return `[Shape] geometry NULL CHECK (${checks.join(' AND ')})`;
+    },
+    spatialIndex(name, extent, srid) {
+      const e = extent || {};
+      const hasBox = [e.west, e.south, e.east, e.north].every((v) => typeof v === 'number');
+      if (!hasBox || !isGeographicEpsg(srid)) {
+        return `-- TODO: CREATE SPATIAL INDEX on ${this.table(name)} ([Shape]) WITH (BOUNDING_BOX = (...));`;
+      }
+      return (
+        `CREATE SPATIAL INDEX ${this.ident(`SIDX_${name}`)} ON ${this.table(name)} ([Shape]) ` +
+        `WITH (BOUNDING_BOX = (${e.west}, ${e.south}, ${e.east}, ${e.north}));`
+      );
+    },
+    comment(name, column, text) {
+      const level2 = column ? `, @level2type = N'COLUMN', @level2name = ${this.str(column)}` : '';
+      return (
+        `EXEC sp_addextendedproperty @name = N'MS_Description', @value = ${this.str(text)}, ` +
+        `@level0type = N'SCHEMA', @level0name = N'dbo', @level1type = N'TABLE', @level1name = ${this.str(name)}${level2};`
+      );
+    },
+  },
+};
+
+// ✅ renamed: no "field" in the codebase naming
+// Returns { type, length, precision, scale, nullable }; length/precision/scale are null when not set
+function mapAttributeToArcGisAttributeSpec(attr) {
+  const t = (attr.type || '').toLowerCase();
+  // "required" is a per-object override (see Catalog.getAttributesForObject)
+  const spec = { type: 'TEXT', length: null, precision: null, scale: null, nullable: attr.nullable !== false && !attr.required };
+  const textLength = Number.isInteger(attr.length) && attr.length > 0 ? attr.length : 255;
+  const precision = Number.isInteger(attr.precision) && attr.precision > 0 ? attr.precision : null;
+  const scale = Number.isInteger(attr.scale) && attr.scale >= 0 ? attr.scale : null;
+
+  switch (t) {
+    case 'string':
+      return { ...spec, length: textLength };
+    case 'integer':
+      // Up to 4 digits fit a SHORT; more than 9 overflow a LONG, so use a DOUBLE with no decimals
+      if (precision === null) return { ...spec, type: 'LONG' };
+      if (precision <= 4) return { ...spec, type: 'SHORT', precision };
+      if (precision > 9) return { ...spec, type: 'DOUBLE', precision, scale: 0 };
+      return { ...spec, type: 'LONG', precision };
+    case 'float':
+      return { ...spec, type: 'DOUBLE', precision, scale: precision === null ? null : scale || 0 };
+    case 'boolean':
+      return { ...spec, type: 'SHORT' };
+    case 'date':
+      return { ...spec, type: 'DATE' };
+    case 'enumerated': {
+      // Integer codes -> LONG; any text code makes the whole field (and its domain) TEXT
+      const codes = Array.isArray(attr.values) ? attr.values.map((v) => v && v.code) : [];
+      const allIntegers = codes.every((c) => c === undefined || c === null || Number.isInteger(c));
+      return allIntegers ? { ...spec, type: 'LONG' } : { ...spec, length: textLength };
+    }
+    default:
+      return { ...spec, length: textLength };
+  }
+}
+
+// ====== SUBMISSION ADAPTERS ======
+// Where change requests go, configured in catalog.json under ui.submission, e.g.
+//   "submission": {
+//     "adapter": "gitlab",
+//     "github":   { "new_issue_url": "https://github.com/<org>/<repo>/issues/new", "labels": ["catalog"] },
+//     "gitlab":   { "new_issue_url": "https://gitlab.example.gov/<group>/<project>/-/issues/new" },
+//     "webhook":  { "url": "https://example.gov/catalog-requests" },
+//     "mailto":   { "to": "gis-catalog@example.gov", "cc": "" },
+//     "download": { "instructions": "Email the file to ..." }
+//   }
+// Without a config block, requests open a GitHub issue at GITHUB_NEW_ISSUE_BASE.
+// catalog.json is served publicly, so nothing here may be secret: the webhook gets no custom
+// headers and must accept unauthenticated POSTs (gate it server-side, e.g. by origin or rate limit).
+const DEFAULT_SUBMISSION_CONFIG = { adapter: 'github' };
+
+function getSubmissionConfig(catalog) {
+  const cfg = catalog && catalog.ui && catalog.ui.submission;
+  return cfg && typeof cfg === 'object' ? { ...DEFAULT_SUBMISSION_CONFIG, ...cfg } : { ...DEFAULT_SUBMISSION_CONFIG };
+}
+
+// JSON document sent by the webhook and download adapters
+function buildSubmissionPayload(submission) {
+  return {
+    kind: submission.kind,
+    id: submission.id || null,
+    title: submission.title,
+    body: submission.body,
+    data: submission.data,
+    submitted_at: new Date().toISOString(),
+    source_url: window.location.href,
+  };
+}
+
+function buildQueryString(params) {
+  return params
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+function submissionFileName(submission) {
+  const id = submission.id ? `_${String(submission.id).replace(/[^A-Za-z0-9_-]+/g, '_')}` : '';
+  return `${submission.kind}${id}.json`;
+}
+
+// Issue links longer than this are rejected or silently cut off by GitHub and some browsers.
+// Per adapter: ui.submission.<adapter>.max_url_length.
+const MAX_SUBMISSION_URL_LENGTH = 8000;
+
+// Shrink a submission until adapter.buildUrl() fits: the full body, then compactBody (summary + patch),
+// then a stub pointing at the full request file. Returns { submission, level: 'full' | 'compact' | 'stub' }.
+function fitSubmissionToUrl(adapter, submission, cfg) {
+  const max = Number(cfg.max_url_length) || adapter.maxUrlLength || MAX_SUBMISSION_URL_LENGTH;
+  const fits = (s) => adapter.buildUrl(s, cfg).length <= max;
+  if (fits(submission)) return { submission, level: 'full' };
+
+  if (submission.compactBody) {
+    const compact = {
+      ...submission,
+      body: [
+        submission.compactBody,
+        '',
+        '> **Note:** the full JSON was left out because the issue link would be too long. ' +
+          'The submitter has a copy and can add it as a comment.',
+      ].join('\n'),
+    };
+    if (fits(compact)) return { submission: compact, level: 'compact' };
+  }
+
+  const file = submissionFileName(submission);
+  const stub = {
+    ...submission,
+    body: [
+      `## ${submission.title}`,
+      '',
+      `> **Note:** this request was too large for an issue link. The full request, including the catalog patch, ` +
+        `is in \`${file}\`, which the submitter should attach here.`,
+      `> Maintainers: \`node scripts/apply-catalog-patch.js < ${file}\``,
+    ].join('\n'),
+  };
+  return { submission: stub, level: 'stub' };
+}
+
+// Resolves to true when the text was copied
+function copyTextToClipboard(text) {
+  if (!navigator.clipboard || !navigator.clipboard.writeText) return Promise.resolve(false);
+  return navigator.clipboard.writeText(text).then(
+    () => true,
+    () => false
+  );
+}
+
+function openSubmissionUrl(url, what) {
+  // No 'noopener' feature: with it window.open() always returns null, which looks like a blocked popup
+  const w = window.open(url, '_blank');
+  if (!w) return { message: `Popup blocked — please allow popups to open the ${what}.` };
+  w.opener = null;
+  return null;
+}
+
+const SUBMISSION_ADAPTERS = [
+  {
+    key: 'github',
+    label: 'GitHub issue',
+    buildUrl: (s, cfg) => {
+      const labels = Array.isArray(cfg.labels) ? cfg.labels.join(',') : cfg.labels;
+      const query = buildQueryString([['title', s.title], ['body', s.body], ['labels', labels]]);
+      return `${cfg.new_issue_url || GITHUB_NEW_ISSUE_BASE}?${query}`;
+    },
+    submit(s, cfg) {
+      return openSubmissionUrl(this.buildUrl(s, cfg), 'GitHub Issue');
+    },
+  },
+  {
+    key: 'gitlab',
+    label: 'GitLab issue',
+    buildUrl: (s, cfg) => {
+      if (!cfg.new_issue_url) throw new Error('ui.submission.gitlab.new_issue_url is not configured');
+      return `${cfg.new_issue_url}?${buildQueryString([['issue[title]', s.title], ['issue[description]', s.body]])}`;
+    },
+    submit(s, cfg) {
+      return openSubmissionUrl(this.buildUrl(s, cfg), 'GitLab issue');
+    },
+  },
+  {
+    key: 'webhook',
+    label: 'webhook',
+    async submit(s, cfg) {
+      if (!cfg.url) throw new Error('ui.submission.webhook.url is not configured');
+      const resp = await fetch(cfg.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildSubmissionPayload(s)),
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return { message: cfg.success_message || 'Your change request was submitted. Thank you!' };
+    },
+  },
+  {
+    key: 'mailto',
+    label: 'email',
+    // Mail clients commonly cap mailto: links around 2000 characters
+    maxUrlLength: 2000,
+    buildUrl: (s, cfg) => {
+      if (!cfg.to) throw new Error('ui.submission.mailto.to is not configured');
+      const query = buildQueryString([['cc', cfg.cc], ['subject', s.title], ['body', s.body]]);
+      return `mailto:${cfg.to}?${query}`;
+    },
+    submit(s, cfg) {
+      window.location.href = this.buildUrl(s, cfg);
+      return null;
+    },
+  },
+  {
+    key: 'download',
+    label: 'JSON file',
+    submit(s, cfg) {
+      const name = submissionFileName(s);
+      downloadTextFile(JSON.stringify(buildSubmissionPayload(s), null, 2), name);
+      return {
+        message: cfg.instructions || `Your change request was saved as ${name}. Send it to the catalog maintainers.`,
+      };
+    },
+  },
+];
+
+// Unknown keys fall back to GitHub issues
+function getSubmissionAdapter(key) {
+  return SUBMISSION_ADAPTERS.find((a) => a.key === key) || SUBMISSION_ADAPTERS[0];
+}
+
+// ====== RECORD / CATALOG DIFF ======
+// Field-level changes between two versions of one record: [{ key, from, to }]
+function computeChanges(original, updated) {
+  const keys = new Set([...Object.keys(original || {}), ...Object.keys(updated || {})]);
+  const changes = [];
+  keys.forEach((k) => {
+    const a = original ? original[k] : undefined;
+    const b = updated ? updated[k] : undefined;
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ key: k, from: a, to: b });
+    }
+  });
+  return changes;
+}
+
+// Added / removed / modified records between two normalized catalogs (see Catalog.normalizeCatalog).
+// Records are matched by id; records without an id are ignored.
+function buildCatalogDiff(baseCatalog, headCatalog) {
+  function diffRecords(baseList, headList) {
+    const baseById = new Map();
+    (baseList || []).forEach((r) => {
+      if (r && r.id) baseById.set(r.id, r);
+    });
+    const headById = new Map();
+    (headList || []).forEach((r) => {
+      if (r && r.id) headById.set(r.id, r);
+    });
+
+    const added = [];
+    const modified = [];
+    headById.forEach((after, id) => {
+      const before = baseById.get(id);
+      if (!before) {
+        added.push(after);
+        return;
+      }
+      const changes = computeChanges(before, after);
+      if (changes.length) modified.push({ id, before, after, changes });
+    });
+    const removed = Array.from(baseById.values()).filter((r) => !headById.has(r.id));
+
+    return { added, removed, modified };
+  }
+
+  const objects = diffRecords(baseCatalog && baseCatalog.objects, headCatalog && headCatalog.objects);
+  const attributes = diffRecords(baseCatalog && baseCatalog.attributes, headCatalog && headCatalog.attributes);
+  const count = (d) => d.added.length + d.removed.length + d.modified.length;
+
+  return { objects, attributes, totalChanges: count(objects) + count(attributes) };
+}
+
+function formatDiffValue(value) {
+  if (value === undefined) return '(none)';
+  return JSON.stringify(value);
+}
+
+// Markdown changelog for buildCatalogDiff() output
+function formatCatalogDiffMarkdown(diff, { title = 'Catalog changelog', baseLabel = 'previous', headLabel = 'current' } = {}) {
+  const lines = [`# ${title}`, '', `Changes from **${baseLabel}** to **${headLabel}**.`, ''];
+
+  if (!diff.totalChanges) {
+    lines.push('No changes.');
+    return lines.join('\n');
+  }
+
+  [
+    ['Objects', diff.objects, (r) => r.title || ''],
+    ['Attributes', diff.attributes, (r) => r.label || ''],
+  ].forEach(([heading, d, nameOf]) => {
+    if (!d.added.length && !d.removed.length && !d.modified.length) return;
+    lines.push(`## ${heading}`, '');
+    if (d.added.length) {
+      lines.push('### Added', '');
+      d.added.forEach((r) => lines.push(`- \`${r.id}\`${nameOf(r) ? ` – ${nameOf(r)}` : ''}`));
+      lines.push('');
+    }
+    if (d.removed.length) {
+      lines.push('### Removed', '');
+      d.removed.forEach((r) => lines.push(`- \`${r.id}\`${nameOf(r) ? ` – ${nameOf(r)}` : ''}`));
+      lines.push('');
+    }
+    if (d.modified.length) {
+      lines.push('### Modified', '');
+      d.modified.forEach((m) => {
+        lines.push(`- \`${m.id}\``);
+        m.changes.forEach((c) => {
+          lines.push(`  - **${c.key}**: \`${formatDiffValue(c.from)}\` → \`${formatDiffValue(c.to)}\``);
+        });
+      });
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+// ====== OBJECT COMPARISON ======
+// Metadata rows shown in the comparison matrix (and CSV), in display order
+const COMPARE_OBJECT_FIELDS = [
+  { key: 'title', label: 'Name' },
+  { key: 'objname', label: 'Database Object Name' },
+  { key: 'geometry_type', label: 'Geometry Type' },
+  { key: 'projection', label: 'Projection' },
+  { key: 'status', label: 'Status' },
+  { key: 'access_level', label: 'Access Level' },
+  { key: 'agency_owner', label: 'Agency Owner' },
+  { key: 'office_owner', label: 'Office Owner' },
+  { key: 'contact_email', label: 'Contact Email' },
+  { key: 'update_frequency', label: 'Update Frequency' },
+  { key: 'topics', label: 'Topics' },
+  { key: 'public_web_service', label: 'Public Web Service' },
+  { key: 'internal_web_service', label: 'Internal Web Service' },
+  { key: 'data_standard', label: 'Data Standard' },
+];
+
+function formatCompareValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Build the comparison model for two or more objects.
+// attributes[].status: 'shared' (in every object), 'partial' (in some objects), 'unique' (in exactly one)
+// or 'type-mismatch'. An id is one shared attribute record, so its type is the same everywhere; a mismatch
+// is a different id with the same label (e.g. STATE text vs STATE_CD integer, both "State") and another
+// type. Those rows list the conflicting ids in mismatchWith.
+function buildObjectComparison(objects, attrsForObject) {
+  const fields = COMPARE_OBJECT_FIELDS.map((f) => {
+    const values = objects.map((o) => formatCompareValue(o[f.key]));
+    const distinct = new Set(values.map((v) => v.trim().toLowerCase()));
+    return { key: f.key, label: f.label, values, differs: distinct.size > 1 };
+  });
+
+  const rowsById = new Map();
+  objects.forEach((obj, col) => {
+    (attrsForObject(obj) || []).forEach((attr) => {
+      if (!rowsById.has(attr.id)) {
+        rowsById.set(attr.id, { id: attr.id, label: attr.label || '', cells: objects.map(() => null) });
+      }
+      rowsById.get(attr.id).cells[col] = { type: attr.type || '' };
+    });
+  });
+
+  const uniqueByObject = {};
+  objects.forEach((o) => {
+    uniqueByObject[o.id] = 0;
+  });
+
+  const rows = Array.from(rowsById.values());
+  const rowType = (row) => String(row.cells.find(Boolean).type).toLowerCase();
+  const rowsByLabel = new Map();
+  rows.forEach((row) => {
+    const key = row.label.trim().toLowerCase();
+    if (!key) return;
+    if (!rowsByLabel.has(key)) rowsByLabel.set(key, []);
+    rowsByLabel.get(key).push(row);
+  });
+
+  const attributes = rows.map((row) => {
+    const present = row.cells.filter(Boolean);
+    const sameLabel = rowsByLabel.get(row.label.trim().toLowerCase()) || [];
+    const mismatchWith = sameLabel.filter((other) => other !== row && rowType(other) !== rowType(row)).map((other) => other.id);
+    let status = 'partial';
+    if (mismatchWith.length) status = 'type-mismatch';
+    else if (present.length === objects.length) status = 'shared';
+    else if (present.length === 1) status = 'unique';
+
+    if (present.length === 1) uniqueByObject[objects[row.cells.findIndex(Boolean)].id]++;
+    return { ...row, status, mismatchWith };
+  });
+
+  return {
+    objects,
+    fields,
+    attributes,
+    summary: {
+      shared: attributes.filter((a) => a.status === 'shared').length,
+      mismatched: attributes.filter((a) => a.status === 'type-mismatch').length,
+      partial: attributes.filter((a) => a.status === 'partial').length,
+      uniqueByObject,
+    },
+  };
+}
+
+function toCsvField(value) {
+  let str = value === undefined || value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas; a leading quote keeps them text
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function buildObjectComparisonCsv(comparison) {
+  const ids = comparison.objects.map((o) => o.id);
+  const rows = [];
+  rows.push(['Section', 'Field', ...ids, 'Differs']);
+  comparison.fields.forEach((f) => {
+    rows.push(['Metadata', f.label, ...f.values, f.differs ? 'yes' : 'no']);
+  });
+  rows.push([]);
+  rows.push(['Section', 'Attribute', ...ids, 'Status']);
+  comparison.attributes.forEach((a) => {
+    const status = a.mismatchWith.length ? `${a.status} (${a.mismatchWith.join(', ')})` : a.status;
+    rows.push(['Attributes', a.id, ...a.cells.map((c) => (c ? c.type || 'yes' : '')), status]);
+  });
+  return rows.map((r) => r.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function slugifyObjectId(raw) {
+  // Make a safe catalog ID like: blm_rmp_boundaries
+  // - lowercase
+  // - convert spaces/dashes to underscores
+  // - remove non-alphanumerics (keep underscores)
+  // - collapse multiple underscores
+  // - trim underscores
+  return String(raw || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\.(?=[a-z0-9])/g, '_')          // dots -> underscores (e.g., SDE.NAME)
+    .replace(/[\s\-\/]+/g, '_')              // spaces/dashes/slashes -> underscores
+    .replace(/[^a-z0-9_]/g, '')              // remove everything else
+    .replace(/_+/g, '_')                     // collapse underscores
+    .replace(/^_+|_+$/g, '');                // trim underscores
+}
+
+function suggestObjectIdFromDraft(draft) {
+  // Prefer Name (title). Fallback to objname. Fallback to description.
+  const name = (draft && draft.title) || '';
+  const objname = (draft && draft.objname) || '';
+  const desc = (draft && draft.description) || '';
+
+  // If objname looks like "SDE.FOO_BAR", take the last token
+  let base = name;
+  if (!base && objname) {
+    const parts = String(objname).split('.');
+    base = parts[parts.length - 1] || objname;
+  }
+  if (!base) base = desc;
+
+  return slugifyObjectId(base);
+}
+
+function downloadTextFile(content, filename, type = 'text/plain') {
+  downloadBlob(new Blob([content], { type }), filename);
 }
 
-function downloadTextFile(content, filename) {
-  const blob = new Blob([content], { type: 'text/plain' });
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
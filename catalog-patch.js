@@ -0,0 +1,283 @@
+// catalog-patch.js
+// JSON Patch (RFC 6902) for catalog change requests.
+// Loaded by index.html (global CatalogPatch) to put a patch in every generated issue body, and
+// used from Node by scripts/apply-catalog-patch.js to apply it:
+//   const CatalogPatch = require('./catalog-patch.js');
+//
+// Paths use the app's canonical collections, "/objects/<index>" and "/attributes/<index>", even
+// when the file stores objects under the legacy "datasets" key. Updates start with a "test" op on
+// the record id so a patch made against an older catalog is re-pointed to the record's current index.
+
+// ====== CATALOG PATCH ======
+const CatalogPatch = (function () {
+  const PATCH_HEADING = '### Catalog patch (JSON Patch, RFC 6902)';
+
+  function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || pointer[0] !== '/') throw new Error(`Invalid JSON pointer "${pointer}"`);
+    return pointer
+      .slice(1)
+      .split('/')
+      .map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  // Field changes ([{ key, from, to }] from computeChanges) to an existing record
+  function buildRecordUpdatePatch(collection, records, id, changes) {
+    const idx = (records || []).findIndex((r) => r && r.id === id);
+    if (idx === -1) return [];
+
+    const base = `/${collection}/${idx}`;
+    const ops = [{ op: 'test', path: `${base}/id`, value: id }];
+    (changes || []).forEach((c) => {
+      const path = `${base}/${escapePointerToken(c.key)}`;
+      if (c.to === undefined) ops.push({ op: 'remove', path });
+      else if (c.from === undefined) ops.push({ op: 'add', path, value: c.to });
+      else ops.push({ op: 'replace', path, value: c.to });
+    });
+    return ops;
+  }
+
+  // Renaming an attribute: point every reference at the new id. Covers object and attribute group
+  // attribute lists ("attributes" entries or "attribute_ids") and relationship key fields.
+  // The attribute record itself is renamed by buildRecordUpdatePatch.
+  function buildAttributeRenamePatch(catalog, oldId, newId) {
+    const ops = [];
+    const src = catalog || {};
+
+    function refOps(base, record) {
+      const field = record.attributes !== undefined ? 'attributes' : 'attribute_ids';
+      const refs = Array.isArray(record[field]) ? record[field] : [];
+      const out = [];
+      refs.forEach((ref, j) => {
+        let path = null;
+        if (ref === oldId) path = `${base}/${field}/${j}`;
+        else if (ref && typeof ref === 'object' && ref.id === oldId) path = `${base}/${field}/${j}/id`;
+        if (!path) return;
+        // Test the element too: the list may have been reordered since the request was made
+        out.push({ op: 'test', path, value: oldId }, { op: 'replace', path, value: newId });
+      });
+      return out;
+    }
+
+    [
+      ['objects', Array.isArray(src.objects) ? src.objects : src.datasets],
+      ['attribute_groups', src.attribute_groups],
+    ].forEach(([collection, records]) => {
+      (Array.isArray(records) ? records : []).forEach((record, i) => {
+        if (!record || typeof record !== 'object') return;
+        const base = `/${collection}/${i}`;
+        const recordOps = refOps(base, record);
+        if (recordOps.length) ops.push({ op: 'test', path: `${base}/id`, value: record.id }, ...recordOps);
+      });
+    });
+
+    const keyFields = ['origin_primary_key', 'origin_foreign_key', 'destination_primary_key', 'destination_foreign_key'];
+    (Array.isArray(src.relationships) ? src.relationships : []).forEach((rel, i) => {
+      if (!rel || typeof rel !== 'object') return;
+      const base = `/relationships/${i}`;
+      const relOps = keyFields
+        .filter((k) => rel[k] === oldId)
+        .flatMap((k) => [
+          { op: 'test', path: `${base}/${k}`, value: oldId },
+          { op: 'replace', path: `${base}/${k}`, value: newId },
+        ]);
+      if (relOps.length) ops.push({ op: 'test', path: `${base}/id`, value: rel.id }, ...relOps);
+    });
+    return ops;
+  }
+
+  // New records appended to a collection
+  function buildRecordAddPatch(collection, newRecords) {
+    return (newRecords || []).map((r) => ({ op: 'add', path: `/${collection}/-`, value: r }));
+  }
+
+  // Markdown lines for an issue body
+  function formatPatchSection(ops) {
+    return [
+      PATCH_HEADING,
+      'Maintainers: apply with `node scripts/apply-catalog-patch.js < issue.md` (validates before writing).',
+      '```json',
+      JSON.stringify(ops, null, 2),
+      '```',
+    ];
+  }
+
+  // Accepts a bare JSON Patch array, a saved change-request file ({ ..., data: { patch } })
+  // or an issue body containing the patch section
+  function extractPatch(text) {
+    const str = String(text || '').replace(/\r\n/g, '\n');
+    const trimmed = str.trim();
+    if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+    if (trimmed.startsWith('{')) {
+      const saved = JSON.parse(trimmed);
+      if (!saved || !saved.data || !Array.isArray(saved.data.patch)) throw new Error('The file has no "data.patch" array');
+      return saved.data.patch;
+    }
+
+    const headingIdx = str.indexOf(PATCH_HEADING);
+    if (headingIdx === -1) throw new Error(`No "${PATCH_HEADING}" section found`);
+    const m = /```json[^\n]*\n([\s\S]*?)\n```/.exec(str.slice(headingIdx));
+    if (!m) throw new Error('The patch section has no ```json block');
+
+    const ops = JSON.parse(m[1]);
+    if (!Array.isArray(ops)) throw new Error('The patch must be a JSON array of operations');
+    return ops;
+  }
+
+  function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    if (ka.length !== kb.length) return false;
+    return ka.every((k) => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  function resolveParent(doc, tokens, opLabel) {
+    let parent = doc;
+    for (let i = 0; i < tokens.length - 1; i++) {
+      const t = tokens[i];
+      if (parent === null || typeof parent !== 'object' || !(t in parent)) {
+        throw new Error(`${opLabel}: path not found`);
+      }
+      parent = parent[Array.isArray(parent) ? Number(t) : t];
+    }
+    if (parent === null || typeof parent !== 'object') throw new Error(`${opLabel}: parent is not a container`);
+    return { parent, key: tokens[tokens.length - 1] };
+  }
+
+  function arrayIndex(arr, key, opLabel, allowEnd) {
+    if (allowEnd && key === '-') return arr.length;
+    if (!/^(0|[1-9]\d*)$/.test(key)) throw new Error(`${opLabel}: "${key}" is not an array index`);
+    const idx = Number(key);
+    if (idx > arr.length || (!allowEnd && idx === arr.length)) throw new Error(`${opLabel}: index ${idx} out of range`);
+    return idx;
+  }
+
+  function getValue(doc, pointer, opLabel) {
+    const tokens = parsePointer(pointer);
+    if (!tokens.length) return doc;
+    const { parent, key } = resolveParent(doc, tokens, opLabel);
+    if (Array.isArray(parent)) return parent[arrayIndex(parent, key, opLabel, false)];
+    if (!(key in parent)) throw new Error(`${opLabel}: path not found`);
+    return parent[key];
+  }
+
+  function addValue(doc, pointer, value, opLabel) {
+    const tokens = parsePointer(pointer);
+    if (!tokens.length) return value;
+    const { parent, key } = resolveParent(doc, tokens, opLabel);
+    if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, opLabel, true), 0, value);
+    else parent[key] = value;
+    return doc;
+  }
+
+  function removeValue(doc, pointer, opLabel) {
+    const tokens = parsePointer(pointer);
+    if (!tokens.length) throw new Error(`${opLabel}: cannot remove the whole document`);
+    const { parent, key } = resolveParent(doc, tokens, opLabel);
+    if (Array.isArray(parent)) return parent.splice(arrayIndex(parent, key, opLabel, false), 1)[0];
+    if (!(key in parent)) throw new Error(`${opLabel}: path not found`);
+    const old = parent[key];
+    delete parent[key];
+    return old;
+  }
+
+  // Record-scoped paths ("/objects/3/...") whose guarding test failed are re-pointed by id
+  function rebaseOps(doc, ops) {
+    const out = ops.map((op) => ({ ...op }));
+    const rebased = [];
+    out.forEach((op, i) => {
+      const m = op.op === 'test' && /^\/(objects|attributes|attribute_groups|relationships)\/(\d+)\/id$/.exec(op.path || '');
+      if (!m) return;
+      const list = Array.isArray(doc[m[1]]) ? doc[m[1]] : [];
+      const idx = Number(m[2]);
+      if (list[idx] && deepEqual(list[idx].id, op.value)) return;
+
+      const actual = list.findIndex((r) => r && deepEqual(r.id, op.value));
+      if (actual === -1) return; // let the test op fail
+      const oldPrefix = `/${m[1]}/${idx}`;
+      const newPrefix = `/${m[1]}/${actual}`;
+      for (let j = i; j < out.length; j++) {
+        ['path', 'from'].forEach((field) => {
+          const p = out[j][field];
+          if (typeof p === 'string' && (p === oldPrefix || p.startsWith(`${oldPrefix}/`))) {
+            out[j][field] = newPrefix + p.slice(oldPrefix.length);
+          }
+        });
+      }
+      rebased.push({ id: op.value, from: idx, to: actual, collection: m[1] });
+    });
+    return { ops: out, rebased };
+  }
+
+  // Apply ops to a copy of doc. Returns { doc, rebased }; throws on the first failing op.
+  function applyPatch(doc, ops) {
+    if (!Array.isArray(ops)) throw new Error('The patch must be a JSON array of operations');
+    let result = clone(doc);
+    const { ops: effective, rebased } = rebaseOps(result, ops);
+
+    effective.forEach((op, i) => {
+      const opLabel = `Operation ${i + 1} (${op && op.op} ${op && op.path})`;
+      if (!op || typeof op.path !== 'string') throw new Error(`${opLabel}: missing "path"`);
+      switch (op.op) {
+        case 'add':
+          result = addValue(result, op.path, clone(op.value), opLabel);
+          break;
+        case 'remove':
+          removeValue(result, op.path, opLabel);
+          break;
+        case 'replace':
+          getValue(result, op.path, opLabel);
+          if (op.path === '') {
+            result = clone(op.value);
+          } else {
+            removeValue(result, op.path, opLabel);
+            result = addValue(result, op.path, clone(op.value), opLabel);
+          }
+          break;
+        case 'move': {
+          if (op.path.startsWith(`${op.from}/`)) throw new Error(`${opLabel}: cannot move a value into itself`);
+          const value = removeValue(result, op.from, opLabel);
+          result = addValue(result, op.path, value, opLabel);
+          break;
+        }
+        case 'copy':
+          result = addValue(result, op.path, clone(getValue(result, op.from, opLabel)), opLabel);
+          break;
+        case 'test':
+          if (!deepEqual(getValue(result, op.path, opLabel), op.value)) {
+            throw new Error(`${opLabel}: test failed (expected ${JSON.stringify(op.value)})`);
+          }
+          break;
+        default:
+          throw new Error(`${opLabel}: unknown op`);
+      }
+    });
+
+    return { doc: result, rebased };
+  }
+
+  return {
+    PATCH_HEADING,
+    buildRecordUpdatePatch,
+    buildRecordAddPatch,
+    buildAttributeRenamePatch,
+    formatPatchSection,
+    extractPatch,
+    applyPatch,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CatalogPatch;
+}
@@ -0,0 +1,251 @@
+// catalog-search.js
+// Ranked, typo-tolerant search over catalog records with field-aware queries.
+// Loaded by index.html (global CatalogSearch) and usable from Node:
+//   const CatalogSearch = require('./catalog-search.js');
+//
+// Query syntax:
+//   fire risk            every term must match somewhere (AND)
+//   topic:fire           restrict a term to one field (names come from the index's aliases)
+//   attr:"ADMIN ST"      quoted values may contain spaces
+//   -planning            exclude records matching the term
+
+// ====== CATALOG SEARCH ======
+const CatalogSearch = (function () {
+  // How much a single token match is worth before the field weight is applied
+  const MATCH_SCORES = { exact: 1, prefix: 0.8, substring: 0.5, fuzzy: 0.4 };
+
+  // Document tokens keep snake_case ids whole ("blm_acecs") and also index their parts.
+  function tokenize(text) {
+    const out = [];
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9_]+/)
+      .filter(Boolean)
+      .forEach((tok) => {
+        out.push(tok);
+        if (tok.includes('_')) tok.split('_').filter(Boolean).forEach((part) => out.push(part));
+      });
+    return out;
+  }
+
+  // Split a query string into terms: { field, value, negate }
+  function parseQuery(query) {
+    const terms = [];
+    const re = /(-?)(?:([A-Za-z_]+):)?(?:"([^"]*)"|(\S+))/g;
+    let m;
+    while ((m = re.exec(String(query || '')))) {
+      const negate = m[1] === '-';
+      const field = m[2] ? m[2].toLowerCase() : null;
+      const value = m[3] !== undefined ? m[3] : m[4];
+      if (!value) continue;
+      terms.push({ field, value, negate });
+    }
+    return terms;
+  }
+
+  // Levenshtein distance with an early exit once every cell exceeds max
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (cur[j] < rowMin) rowMin = cur[j];
+      }
+      if (rowMin > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+  }
+
+  // Best way a query token matches a document token: { kind, score } or null
+  function matchToken(term, token) {
+    if (token === term) return { kind: 'exact', score: MATCH_SCORES.exact };
+    if (token.startsWith(term)) return { kind: 'prefix', score: MATCH_SCORES.prefix };
+    if (term.length >= 3 && token.includes(term)) return { kind: 'substring', score: MATCH_SCORES.substring };
+    const typos = allowedTypos(term);
+    if (typos && editDistance(term, token, typos) <= typos) return { kind: 'fuzzy', score: MATCH_SCORES.fuzzy };
+    return null;
+  }
+
+  function toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(' ');
+    return String(value);
+  }
+
+  // fields:  [{ name, weight, get(record), fieldOnly }]
+  //          fieldOnly fields are searched only through an explicit "name:" prefix.
+  // aliases: { queryPrefix: fieldName | [fieldNames] }
+  function createIndex(records, { fields, aliases = {} }) {
+    const fieldByName = {};
+    fields.forEach((f) => {
+      fieldByName[f.name] = f;
+    });
+
+    const docs = (records || []).map((record, order) => {
+      const byField = {};
+      fields.forEach((f) => {
+        const text = toText(f.get(record));
+        byField[f.name] = { text, tokens: Array.from(new Set(tokenize(text))) };
+      });
+      return { record, order, byField };
+    });
+
+    function resolveFields(prefix) {
+      if (!prefix) return fields.filter((f) => !f.fieldOnly).map((f) => f.name);
+      const target = aliases[prefix] || (fieldByName[prefix] ? prefix : null);
+      if (!target) return null;
+      return Array.isArray(target) ? target : [target];
+    }
+
+    // Score one (single-token) term against a doc; returns { score, needles }
+    // The best field counts fully, hits in further fields add half their weight.
+    function scoreTerm(doc, token, fieldNames) {
+      const fieldScores = [];
+      const needles = [];
+      fieldNames.forEach((name) => {
+        const entry = doc.byField[name];
+        if (!entry) return;
+        let fieldBest = 0;
+        entry.tokens.forEach((docToken) => {
+          const hit = matchToken(token, docToken);
+          if (!hit) return;
+          fieldBest = Math.max(fieldBest, hit.score);
+          // Literal matches highlight the query text; typo matches highlight the word found
+          needles.push(hit.kind === 'fuzzy' ? docToken : token);
+        });
+        if (fieldBest) fieldScores.push(fieldBest * (fieldByName[name].weight || 1));
+      });
+      fieldScores.sort((a, b) => b - a);
+      const score = fieldScores.reduce((sum, v, i) => sum + (i === 0 ? v : v / 2), 0);
+      return { score, needles };
+    }
+
+    // Returns [{ record, score, needles }] best first; an empty query returns every record.
+    function search(query) {
+      const parsed = [];
+      parseQuery(query).forEach((t) => {
+        let fieldNames = resolveFields(t.field);
+        let value = t.value;
+        // Unknown prefix ("http:", "foo:") is just part of the text
+        if (!fieldNames) {
+          fieldNames = resolveFields(null);
+          value = `${t.field}:${t.value}`;
+        }
+        const tokens = value
+          .toLowerCase()
+          .split(/[^a-z0-9_]+/)
+          .filter(Boolean);
+        if (tokens.length) parsed.push({ tokens, fieldNames, negate: t.negate });
+      });
+
+      if (!parsed.length) return docs.map((doc) => ({ record: doc.record, score: 0, needles: [] }));
+
+      const results = [];
+      docs.forEach((doc) => {
+        let total = 0;
+        const needles = [];
+        const ok = parsed.every((term) => {
+          let termScore = 0;
+          const termNeedles = [];
+          const allTokensMatch = term.tokens.every((tok) => {
+            const r = scoreTerm(doc, tok, term.fieldNames);
+            termScore += r.score;
+            termNeedles.push(...r.needles);
+            return r.score > 0;
+          });
+          if (term.negate) return !allTokensMatch;
+          if (!allTokensMatch) return false;
+          total += termScore;
+          needles.push(...termNeedles);
+          return true;
+        });
+        if (ok) results.push({ record: doc.record, score: total, order: doc.order, needles: Array.from(new Set(needles)) });
+      });
+
+      results.sort((a, b) => b.score - a.score || a.order - b.order);
+      return results.map(({ record, score, needles }) => ({ record, score, needles }));
+    }
+
+    // Text of a field as indexed (used for snippets)
+    function fieldText(record, name) {
+      const f = fieldByName[name];
+      return f ? toText(f.get(record)) : '';
+    }
+
+    return { search, fieldText };
+  }
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function needlePattern(needles) {
+    const list = (needles || []).filter(Boolean).sort((a, b) => b.length - a.length);
+    return list.length ? new RegExp(list.map(escapeRegExp).join('|'), 'gi') : null;
+  }
+
+  // Escaped HTML of text with every needle wrapped in <mark>
+  function highlight(text, needles) {
+    const str = String(text === undefined || text === null ? '' : text);
+    const re = needlePattern(needles);
+    if (!re) return escapeHtml(str);
+
+    let html = '';
+    let last = 0;
+    let m;
+    while ((m = re.exec(str))) {
+      if (!m[0]) {
+        re.lastIndex++;
+        continue;
+      }
+      html += escapeHtml(str.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+      last = m.index + m[0].length;
+    }
+    return html + escapeHtml(str.slice(last));
+  }
+
+  // Highlighted excerpt around the first needle, or '' when the text has no match
+  function snippet(text, needles, radius = 40) {
+    const str = String(text || '');
+    const re = needlePattern(needles);
+    if (!re) return '';
+    const m = re.exec(str);
+    if (!m) return '';
+
+    const start = Math.max(0, m.index - radius);
+    const end = Math.min(str.length, m.index + m[0].length + radius);
+    return (start > 0 ? '…' : '') + highlight(str.slice(start, end), needles) + (end < str.length ? '…' : '');
+  }
+
+  return {
+    tokenize,
+    parseQuery,
+    createIndex,
+    highlight,
+    snippet,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CatalogSearch;
+}
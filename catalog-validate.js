@@ -0,0 +1,585 @@
+// catalog-validate.js
+// Consistency checks for data/catalog.json.
+// Loaded by index.html (global CatalogValidator) and usable from Node:
+//   const CatalogValidator = require('./catalog-validate.js');
+
+// ====== CATALOG VALIDATOR ======
+const CatalogValidator = (function () {
+  // Allowed values are compared case-insensitively.
+  // geometry_type covers both the legacy catalog values (POLYGON, POLYLINE...) and the
+  // values written by the "Submit new object" form (point, line, polygon/area, table).
+  const DEFAULT_VOCABULARIES = {
+    geometry_type: ['point', 'multipoint', 'line', 'polyline', 'polygon', 'polygon/area', 'table'],
+    access_level: ['public', 'internal', 'cui', 'Data does not contain CUI', 'Data may contain CUI'],
+    status: ['authoritative', 'draft', 'new', 'planned', 'deprecated', 'retired'],
+    attribute_type: ['string', 'integer', 'float', 'boolean', 'date', 'enumerated'],
+  };
+
+  // Must stay in sync with slugifyObjectId() in app.js
+  const OBJECT_ID_PATTERN = /^[a-z0-9]+(_[a-z0-9]+)*$/;
+  const ATTRIBUTE_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const URL_FIELDS = ['public_web_service', 'internal_web_service', 'data_standard'];
+
+  // Same key normalization as Catalog.loadCatalog(): raw.objects (preferred) or raw.datasets (legacy)
+  function getObjects(raw) {
+    if (Array.isArray(raw && raw.objects)) return raw.objects;
+    if (Array.isArray(raw && raw.datasets)) return raw.datasets;
+    return [];
+  }
+
+  function getAttributes(raw) {
+    return Array.isArray(raw && raw.attributes) ? raw.attributes : [];
+  }
+
+  function isBlank(v) {
+    return v === undefined || v === null || String(v).trim() === '';
+  }
+
+  function isValidUrl(v) {
+    try {
+      const u = new URL(String(v));
+      return u.protocol === 'http:' || u.protocol === 'https:';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function isValidIsoDate(v) {
+    const m = String(v).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return false;
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+  }
+
+  function inVocabulary(value, allowed) {
+    const v = String(value).trim().toLowerCase();
+    return allowed.some((a) => String(a).toLowerCase() === v);
+  }
+
+  // Optional attribute storage constraints (honored by the schema exports in app.js):
+  //   length             maximum characters of a text value
+  //   precision, scale   total digits and digits after the decimal point of a number
+  //   nullable           false when a value is required (default true)
+  //   default            value used when none is given
+  //   min, max           inclusive bounds: numbers, or YYYY-MM-DD for dates
+  //   pattern            regular expression the whole text value must match
+  const CONSTRAINT_KEYS = ['length', 'precision', 'scale', 'nullable', 'default', 'min', 'max', 'pattern'];
+  const NUMERIC_TYPES = ['integer', 'float'];
+  const NON_TEXT_TYPES = ['integer', 'float', 'boolean', 'date'];
+
+  // Same keys as RELATIONSHIP_CARDINALITIES in app.js
+  const RELATIONSHIP_CARDINALITIES = ['one_to_one', 'one_to_many', 'many_to_many'];
+
+  function isNonNegativeInteger(v) {
+    return Number.isInteger(v) && v >= 0;
+  }
+
+  // Patterns must match the whole value, same as the SQL CHECK constraints generated from them
+  function compilePattern(pattern) {
+    try {
+      return new RegExp(`^(?:${pattern})$`);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Digits before and after the decimal point of a numeric string ("-012.50" -> [2, 1])
+  function countDigits(s) {
+    const [intPart, fracPart = ''] = s.replace(/^[-+]/, '').split('.');
+    return [intPart.replace(/^0+(?=\d)/, '').replace(/^0$/, '').length, fracPart.replace(/0+$/, '').length];
+  }
+
+  // Checks one value (expected_value or default) against the attribute type and constraints.
+  // Returns { code, message } or null.
+  function checkValue(attr, v, field) {
+    const t = String(attr.type || '').toLowerCase();
+    const s = String(v).trim();
+    const label = `${field} ${JSON.stringify(v)}`;
+    const typeError = (what) => ({ code: `${field}_type_mismatch`, message: `${label} is not ${what}` });
+    const violation = (what) => ({ code: `${field}_constraint_violation`, message: `${label} ${what}` });
+
+    switch (t) {
+      case 'integer':
+        if (!/^-?\d+$/.test(s)) return typeError('an integer');
+        break;
+      case 'float':
+        if (s === '' || !Number.isFinite(Number(s))) return typeError('a number');
+        break;
+      case 'boolean':
+        return typeof v === 'boolean' || /^(true|false|0|1|yes|no)$/i.test(s) ? null : typeError('a boolean');
+      case 'date':
+        if (!isValidIsoDate(s)) return typeError('a YYYY-MM-DD date');
+        if (attr.min !== undefined && s < String(attr.min)) return violation(`is before min ${attr.min}`);
+        if (attr.max !== undefined && s > String(attr.max)) return violation(`is after max ${attr.max}`);
+        return null;
+      case 'enumerated': {
+        const values = Array.isArray(attr.values) ? attr.values : [];
+        if (!values.length) return null; // reported separately
+        const match = values.some((ev) => ev && (String(ev.code) === s || String(ev.label || '') === s));
+        return match ? null : typeError('one of the enumerated codes or labels');
+      }
+      default:
+        if (attr.length !== undefined && String(v).length > attr.length) return violation(`is longer than length ${attr.length}`);
+        if (!isBlank(attr.pattern)) {
+          const re = compilePattern(attr.pattern);
+          if (re && !re.test(String(v))) return violation(`does not match pattern ${attr.pattern}`);
+        }
+        return null;
+    }
+
+    // integer / float
+    const n = Number(s);
+    if (typeof attr.min === 'number' && n < attr.min) return violation(`is below min ${attr.min}`);
+    if (typeof attr.max === 'number' && n > attr.max) return violation(`is above max ${attr.max}`);
+    if (isNonNegativeInteger(attr.precision) && attr.precision > 0) {
+      const [intDigits, fracDigits] = countDigits(s);
+      const scale = isNonNegativeInteger(attr.scale) ? attr.scale : 0;
+      if (fracDigits > scale) return violation(`has more than ${scale} decimal place(s)`);
+      if (intDigits > attr.precision - scale) return violation(`does not fit precision ${attr.precision}, scale ${scale}`);
+    }
+    return null;
+  }
+
+  // Issues for an attribute's constraint definitions and for expected_value/default checked against them.
+  // Returns [{ severity, code, field, message }]; also used by the app's attribute forms before submitting.
+  function checkAttributeConstraints(attr) {
+    const issues = [];
+    const add = (severity, code, field, message) => issues.push({ severity, code, field, message });
+    const t = String((attr && attr.type) || '').toLowerCase();
+    if (!attr || typeof attr !== 'object') return issues;
+
+    const notApplicable = (field, what) =>
+      add('warning', 'constraint_not_applicable', field, `${field} only applies to ${what} attributes (type is "${attr.type}")`);
+
+    if (attr.length !== undefined) {
+      if (!Number.isInteger(attr.length) || attr.length < 1) add('error', 'invalid_constraint', 'length', 'length must be a positive integer');
+      else if (NON_TEXT_TYPES.includes(t)) notApplicable('length', 'text');
+    }
+
+    if (attr.precision !== undefined) {
+      if (!Number.isInteger(attr.precision) || attr.precision < 1) add('error', 'invalid_constraint', 'precision', 'precision must be a positive integer');
+      else if (!NUMERIC_TYPES.includes(t)) notApplicable('precision', 'integer and float');
+    }
+    if (attr.scale !== undefined) {
+      if (!isNonNegativeInteger(attr.scale)) add('error', 'invalid_constraint', 'scale', 'scale must be a non-negative integer');
+      else if (!NUMERIC_TYPES.includes(t)) notApplicable('scale', 'integer and float');
+      else if (t === 'integer' && attr.scale > 0) add('error', 'invalid_constraint', 'scale', 'integer attributes cannot have a scale');
+      else if (Number.isInteger(attr.precision) && attr.scale > attr.precision) {
+        add('error', 'invalid_constraint', 'scale', `scale ${attr.scale} is larger than precision ${attr.precision}`);
+      }
+    }
+
+    if (attr.nullable !== undefined && typeof attr.nullable !== 'boolean') {
+      add('error', 'invalid_constraint', 'nullable', 'nullable must be true or false');
+    }
+
+    ['min', 'max'].forEach((field) => {
+      const v = attr[field];
+      if (v === undefined) return;
+      if (NUMERIC_TYPES.includes(t)) {
+        if (typeof v !== 'number' || !Number.isFinite(v)) add('error', 'invalid_constraint', field, `${field} must be a number`);
+      } else if (t === 'date') {
+        if (!isValidIsoDate(String(v))) add('error', 'invalid_constraint', field, `${field} must be a YYYY-MM-DD date`);
+      } else {
+        notApplicable(field, 'integer, float and date');
+      }
+    });
+    if (attr.min !== undefined && attr.max !== undefined && attr.min > attr.max) {
+      add('error', 'invalid_constraint', 'min', `min ${attr.min} is greater than max ${attr.max}`);
+    }
+
+    if (attr.pattern !== undefined) {
+      if (typeof attr.pattern !== 'string' || !compilePattern(attr.pattern)) {
+        add('error', 'invalid_constraint', 'pattern', 'pattern is not a valid regular expression');
+      } else if (NON_TEXT_TYPES.includes(t) || t === 'enumerated') {
+        notApplicable('pattern', 'text');
+      }
+    }
+
+    if (!isBlank(attr.type)) {
+      ['expected_value', 'default'].forEach((field) => {
+        if (attr[field] === undefined) return;
+        const problem = checkValue(attr, attr[field], field);
+        if (problem) add('error', problem.code, field, problem.message);
+      });
+    }
+
+    return issues;
+  }
+
+  // Per-object attribute entry { id, required, alias, order, notes }; returns error messages
+  function checkAttributeOverride(ref) {
+    const problems = [];
+    if (ref.required !== undefined && typeof ref.required !== 'boolean') problems.push(`"${ref.id}": required must be true or false`);
+    if (ref.order !== undefined && (typeof ref.order !== 'number' || !Number.isFinite(ref.order))) {
+      problems.push(`"${ref.id}": order must be a number`);
+    }
+    ['alias', 'notes'].forEach((k) => {
+      if (ref[k] !== undefined && typeof ref[k] !== 'string') problems.push(`"${ref.id}": ${k} must be text`);
+    });
+    return problems;
+  }
+
+  // Validate a raw catalog object (as parsed from catalog.json).
+  // options.vocabularies overrides DEFAULT_VOCABULARIES per key.
+  // Returns { generated_at, summary, issues: [{ severity, code, entity, id, field, message }] }
+  function validateCatalog(raw, options = {}) {
+    const vocab = { ...DEFAULT_VOCABULARIES, ...(options.vocabularies || {}) };
+    const objects = getObjects(raw);
+    const attributes = getAttributes(raw);
+    const issues = [];
+
+    function add(severity, code, entity, id, field, message) {
+      issues.push({ severity, code, entity, id: id === undefined ? null : id, field: field || null, message });
+    }
+
+    // --- Attributes ---
+    const attributeIds = new Set();
+    attributes.forEach((attr, idx) => {
+      if (!attr || typeof attr !== 'object') {
+        add('error', 'invalid_record', 'attribute', null, null, `attributes[${idx}] is not an object`);
+        return;
+      }
+
+      const id = attr.id;
+      if (isBlank(id)) {
+        add('error', 'missing_id', 'attribute', null, 'id', `attributes[${idx}] has no id`);
+      } else {
+        if (attributeIds.has(id)) add('error', 'duplicate_id', 'attribute', id, 'id', `Duplicate attribute id "${id}"`);
+        attributeIds.add(id);
+        if (!ATTRIBUTE_ID_PATTERN.test(String(id))) {
+          add('error', 'invalid_id', 'attribute', id, 'id', `Attribute id "${id}" is not a valid field name`);
+        }
+      }
+
+      if (isBlank(attr.type)) {
+        add('error', 'missing_type', 'attribute', id, 'type', 'Attribute has no type');
+      } else if (!inVocabulary(attr.type, vocab.attribute_type)) {
+        add('error', 'invalid_vocabulary', 'attribute', id, 'type', `Unknown attribute type "${attr.type}"`);
+      }
+
+      if (isBlank(attr.definition)) {
+        add('warning', 'missing_definition', 'attribute', id, 'definition', 'Attribute has no definition');
+      }
+
+      const isEnum = String(attr.type || '').toLowerCase() === 'enumerated';
+      const values = attr.values;
+      if (isEnum && (!Array.isArray(values) || !values.length)) {
+        add('error', 'enum_without_values', 'attribute', id, 'values', 'Enumerated attribute has no values');
+      }
+      if (!isEnum && values !== undefined) {
+        add('warning', 'values_on_non_enum', 'attribute', id, 'values', `Attribute of type "${attr.type}" has enumerated values`);
+      }
+      if (values !== undefined && !Array.isArray(values)) {
+        add('error', 'invalid_values', 'attribute', id, 'values', 'values must be an array of {code, label, description}');
+      } else if (Array.isArray(values)) {
+        const seen = new Set();
+        values.forEach((v, vIdx) => {
+          if (!v || v.code === undefined || v.code === null || v.code === '') {
+            add('error', 'enum_missing_code', 'attribute', id, 'values', `values[${vIdx}] has no code`);
+            return;
+          }
+          const key = String(v.code);
+          if (seen.has(key)) add('error', 'duplicate_enum_code', 'attribute', id, 'values', `Duplicate enumerated code ${JSON.stringify(v.code)}`);
+          seen.add(key);
+          if (isBlank(v.label)) add('warning', 'enum_missing_label', 'attribute', id, 'values', `Code ${JSON.stringify(v.code)} has no label`);
+        });
+      }
+
+      checkAttributeConstraints(attr).forEach((i) => add(i.severity, i.code, 'attribute', id, i.field, i.message));
+
+      if (!isBlank(attr.status) && !inVocabulary(attr.status, vocab.status)) {
+        add('error', 'invalid_vocabulary', 'attribute', id, 'status', `Unknown status "${attr.status}"`);
+      }
+      if (!isBlank(attr.data_standard) && !isValidUrl(attr.data_standard)) {
+        add('error', 'invalid_url', 'attribute', id, 'data_standard', `data_standard is not a valid http(s) URL`);
+      }
+    });
+
+    const usedAttributeIds = new Set();
+
+    // Attribute references of an object or group: "attributes" (entries with per-object overrides)
+    // replaces "attribute_ids" when both are present. Returns the referenced attribute ids.
+    function checkAttributeRefs(entity, id, record, countAsUsed = true) {
+      const refsField = record.attributes !== undefined ? 'attributes' : 'attribute_ids';
+      const refs = record[refsField];
+      if (refs !== undefined && !Array.isArray(refs)) {
+        add('error', 'invalid_attribute_ids', entity, id, refsField, `${refsField} must be an array`);
+        return [];
+      }
+      if (!Array.isArray(refs)) return [];
+      if (refsField === 'attributes' && record.attribute_ids !== undefined) {
+        add('warning', 'attribute_ids_ignored', entity, id, 'attribute_ids', 'attribute_ids is ignored because "attributes" is present');
+      }
+      const seen = new Set();
+      refs.forEach((ref) => {
+        const isEntry = ref !== null && typeof ref === 'object';
+        const attrId = isEntry ? ref.id : ref;
+        if (isBlank(attrId)) {
+          add('error', 'invalid_attribute_ref', entity, id, refsField, 'Attribute reference has no id');
+          return;
+        }
+        if (countAsUsed) usedAttributeIds.add(attrId);
+        if (seen.has(attrId)) {
+          add('warning', 'duplicate_attribute_ref', entity, id, refsField, `Attribute "${attrId}" is listed more than once`);
+        }
+        seen.add(attrId);
+        if (!attributeIds.has(attrId)) {
+          add('error', 'dangling_attribute_ref', entity, id, refsField, `Attribute "${attrId}" does not exist`);
+        }
+        if (isEntry) checkAttributeOverride(ref).forEach((msg) => add('error', 'invalid_attribute_override', entity, id, refsField, msg));
+      });
+      return Array.from(seen);
+    }
+
+    // --- Attribute groups (reusable blocks objects include with attribute_group_ids) ---
+    const groups = raw && raw.attribute_groups !== undefined ? raw.attribute_groups : [];
+    const groupById = new Map();
+    if (!Array.isArray(groups)) {
+      add('error', 'invalid_attribute_groups', 'catalog', null, 'attribute_groups', 'attribute_groups must be an array');
+    } else {
+      groups.forEach((group, idx) => {
+        if (!group || typeof group !== 'object') {
+          add('error', 'invalid_record', 'attribute_group', null, null, `attribute_groups[${idx}] is not an object`);
+          return;
+        }
+        const id = group.id;
+        if (isBlank(id)) {
+          add('error', 'missing_id', 'attribute_group', null, 'id', `attribute_groups[${idx}] has no id`);
+          return;
+        }
+        if (groupById.has(id)) {
+          add('error', 'duplicate_id', 'attribute_group', id, 'id', `Duplicate attribute group id "${id}"`);
+          return;
+        }
+        groupById.set(id, group);
+      });
+      groupById.forEach((group, id) => {
+        if (isBlank(group.label)) add('warning', 'missing_label', 'attribute_group', id, 'label', 'Attribute group has no label');
+        checkAttributeRefs('attribute_group', id, group, false);
+        const nested = group.attribute_group_ids;
+        if (nested !== undefined && !Array.isArray(nested)) {
+          add('error', 'invalid_attribute_group_ids', 'attribute_group', id, 'attribute_group_ids', 'attribute_group_ids must be an array');
+          return;
+        }
+        (nested || []).forEach((gid) => {
+          if (!groupById.has(gid)) {
+            add('error', 'unknown_attribute_group', 'attribute_group', id, 'attribute_group_ids', `Attribute group "${gid}" does not exist`);
+          }
+        });
+        if (includesGroup(id, id, new Set())) {
+          add('error', 'attribute_group_cycle', 'attribute_group', id, 'attribute_group_ids', `Attribute group "${id}" includes itself`);
+        }
+      });
+    }
+
+    function includesGroup(fromId, targetId, visited) {
+      const group = groupById.get(fromId);
+      return ((group && Array.isArray(group.attribute_group_ids) && group.attribute_group_ids) || []).some((gid) => {
+        if (gid === targetId) return true;
+        if (visited.has(gid)) return false;
+        visited.add(gid);
+        return includesGroup(gid, targetId, visited);
+      });
+    }
+
+    // Attribute ids a list of groups contributes, nested groups included
+    function groupAttributeIds(groupIds, visited = new Set()) {
+      const ids = [];
+      (groupIds || []).forEach((gid) => {
+        const group = groupById.get(gid);
+        if (!group || visited.has(gid)) return;
+        visited.add(gid);
+        ids.push(...groupAttributeIds(Array.isArray(group.attribute_group_ids) ? group.attribute_group_ids : [], visited));
+        const refs = Array.isArray(group.attributes) ? group.attributes : Array.isArray(group.attribute_ids) ? group.attribute_ids : [];
+        refs.forEach((ref) => ids.push(ref !== null && typeof ref === 'object' ? ref.id : ref));
+      });
+      return ids;
+    }
+
+    // --- Objects ---
+    const objectIds = new Set();
+    const objectAttributeIds = new Map(); // object id -> Set of attribute ids (own + groups)
+    objects.forEach((obj, idx) => {
+      if (!obj || typeof obj !== 'object') {
+        add('error', 'invalid_record', 'object', null, null, `objects[${idx}] is not an object`);
+        return;
+      }
+
+      const id = obj.id;
+      if (isBlank(id)) {
+        add('error', 'missing_id', 'object', null, 'id', `objects[${idx}] has no id`);
+      } else {
+        if (objectIds.has(id)) add('error', 'duplicate_id', 'object', id, 'id', `Duplicate object id "${id}"`);
+        objectIds.add(id);
+        if (!OBJECT_ID_PATTERN.test(String(id))) {
+          add('error', 'invalid_id', 'object', id, 'id', 'Object id must be lowercase letters, digits and underscores');
+        }
+      }
+
+      if (isBlank(obj.title)) add('warning', 'missing_title', 'object', id, 'title', 'Object has no title');
+
+      [
+        ['geometry_type', vocab.geometry_type],
+        ['access_level', vocab.access_level],
+        ['status', vocab.status],
+      ].forEach(([field, allowed]) => {
+        if (isBlank(obj[field])) {
+          add('warning', 'missing_field', 'object', id, field, `Object has no ${field}`);
+        } else if (!inVocabulary(obj[field], allowed)) {
+          add('error', 'invalid_vocabulary', 'object', id, field, `Unknown ${field} "${obj[field]}"`);
+        }
+      });
+
+      if (isBlank(obj.contact_email)) {
+        add('warning', 'missing_field', 'object', id, 'contact_email', 'Object has no contact_email');
+      } else if (!EMAIL_PATTERN.test(String(obj.contact_email).trim())) {
+        add('error', 'invalid_email', 'object', id, 'contact_email', `contact_email "${obj.contact_email}" is not a valid email`);
+      }
+
+      URL_FIELDS.forEach((field) => {
+        if (!isBlank(obj[field]) && !isValidUrl(obj[field])) {
+          add('error', 'invalid_url', 'object', id, field, `${field} is not a valid http(s) URL`);
+        }
+      });
+
+      const ownAttributeIds = checkAttributeRefs('object', id, obj);
+
+      const groupIds = obj.attribute_group_ids;
+      if (groupIds !== undefined && !Array.isArray(groupIds)) {
+        add('error', 'invalid_attribute_group_ids', 'object', id, 'attribute_group_ids', 'attribute_group_ids must be an array');
+      } else if (Array.isArray(groupIds)) {
+        groupIds.forEach((gid) => {
+          if (!groupById.has(gid)) {
+            add('error', 'unknown_attribute_group', 'object', id, 'attribute_group_ids', `Attribute group "${gid}" does not exist`);
+          }
+        });
+        groupAttributeIds(groupIds).forEach((attrId) => usedAttributeIds.add(attrId));
+      }
+      if (!isBlank(id)) {
+        objectAttributeIds.set(id, new Set([...ownAttributeIds, ...groupAttributeIds(Array.isArray(groupIds) ? groupIds : [])]));
+      }
+    });
+
+    // --- Relationships between objects ---
+    const relationships = raw && raw.relationships !== undefined ? raw.relationships : [];
+    if (!Array.isArray(relationships)) {
+      add('error', 'invalid_relationships', 'catalog', null, 'relationships', 'relationships must be an array');
+    } else {
+      const relationshipIds = new Set();
+      relationships.forEach((rel, idx) => {
+        if (!rel || typeof rel !== 'object') {
+          add('error', 'invalid_record', 'relationship', null, null, `relationships[${idx}] is not an object`);
+          return;
+        }
+        const id = rel.id;
+        if (isBlank(id)) {
+          add('error', 'missing_id', 'relationship', null, 'id', `relationships[${idx}] has no id`);
+        } else {
+          if (relationshipIds.has(id)) add('error', 'duplicate_id', 'relationship', id, 'id', `Duplicate relationship id "${id}"`);
+          relationshipIds.add(id);
+        }
+        checkRelationship(rel).forEach(([code, field, message]) => add('error', code, 'relationship', id || null, field, message));
+      });
+    }
+
+    function checkRelationship(rel) {
+      const problems = [];
+      ['origin', 'destination'].forEach((end) => {
+        if (isBlank(rel[end])) problems.push(['missing_field', end, `Relationship has no ${end} object`]);
+        else if (!objectIds.has(rel[end])) problems.push(['dangling_object_ref', end, `Object "${rel[end]}" does not exist`]);
+      });
+
+      const cardinality = String(rel.cardinality || '').toLowerCase();
+      if (!RELATIONSHIP_CARDINALITIES.includes(cardinality)) {
+        problems.push(['invalid_vocabulary', 'cardinality', `cardinality must be one of ${RELATIONSHIP_CARDINALITIES.join(', ')}`]);
+      }
+      if (rel.composite !== undefined && typeof rel.composite !== 'boolean') {
+        problems.push(['invalid_relationship', 'composite', 'composite must be true or false']);
+      }
+
+      // Key fields: [field, object holding the attribute (null = the many-to-many relationship table)]
+      const manyToMany = cardinality === 'many_to_many';
+      const keys = [
+        ['origin_primary_key', rel.origin],
+        ['origin_foreign_key', manyToMany ? null : rel.destination],
+      ];
+      if (manyToMany) keys.push(['destination_primary_key', rel.destination], ['destination_foreign_key', null]);
+      keys.forEach(([field, objId]) => {
+        if (isBlank(rel[field])) {
+          problems.push(['missing_field', field, `Relationship has no ${field}`]);
+        } else if (objId && objectAttributeIds.has(objId) && !objectAttributeIds.get(objId).has(rel[field])) {
+          problems.push(['dangling_attribute_ref', field, `Object "${objId}" has no attribute "${rel[field]}"`]);
+        }
+      });
+      return problems;
+    }
+
+    // --- Orphans (attributes no object uses) ---
+    attributes.forEach((attr) => {
+      if (attr && !isBlank(attr.id) && !usedAttributeIds.has(attr.id)) {
+        add('warning', 'orphan_attribute', 'attribute', attr.id, null, 'Attribute is not used by any object');
+      }
+    });
+
+    const errors = issues.filter((i) => i.severity === 'error').length;
+    return {
+      generated_at: new Date().toISOString(),
+      summary: {
+        objects: objects.length,
+        attributes: attributes.length,
+        errors,
+        warnings: issues.length - errors,
+        valid: errors === 0,
+      },
+      issues,
+    };
+  }
+
+  function formatReportMarkdown(report) {
+    const lines = [];
+    const s = report.summary;
+    lines.push('# Catalog validation report');
+    lines.push('');
+    lines.push(`Generated: ${report.generated_at}`);
+    lines.push('');
+    lines.push(`- Objects: ${s.objects}`);
+    lines.push(`- Attributes: ${s.attributes}`);
+    lines.push(`- Errors: ${s.errors}`);
+    lines.push(`- Warnings: ${s.warnings}`);
+
+    ['error', 'warning'].forEach((severity) => {
+      const rows = report.issues.filter((i) => i.severity === severity);
+      if (!rows.length) return;
+      lines.push('');
+      lines.push(`## ${severity === 'error' ? 'Errors' : 'Warnings'}`);
+      lines.push('');
+      lines.push('| Entity | ID | Field | Check | Message |');
+      lines.push('| --- | --- | --- | --- | --- |');
+      rows.forEach((i) => {
+        const cell = (v) => String(v === null || v === undefined ? '' : v).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        lines.push(`| ${cell(i.entity)} | \`${cell(i.id)}\` | ${cell(i.field)} | ${cell(i.code)} | ${cell(i.message)} |`);
+      });
+    });
+
+    if (!report.issues.length) {
+      lines.push('');
+      lines.push('No issues found.');
+    }
+
+    return lines.join('\n');
+  }
+
+  return {
+    DEFAULT_VOCABULARIES,
+    CONSTRAINT_KEYS,
+    validateCatalog,
+    checkAttributeConstraints,
+    formatReportMarkdown,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CatalogValidator;
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Apply the JSON Patch from a change-request issue to the catalog.
+//
+// Usage:
+//   node scripts/apply-catalog-patch.js [--dry-run] [--strict] < issue.md
+//
+// Input is the issue body (the "Catalog patch" section is found automatically), a change-request
+// file saved by the app (too large for an issue link, or the "download" adapter) or a bare
+// JSON Patch array. The patched catalog is validated with catalog-validate.js and nothing is
+// written if the patch introduces new errors (--strict: if any errors remain at all).
+// Writes data/catalog.json and, when the split layout exists, the per-record files.
+//
+// Exit codes: 0 applied (or would apply), 1 rejected, 2 bad input.
+
+const fs = require('fs');
+const CatalogPatch = require('../catalog-patch.js');
+const CatalogValidator = require('../catalog-validate.js');
+const CatalogFiles = require('./catalog-files.js');
+
+function parseArgs(argv) {
+  const args = { dryRun: false, strict: false };
+  argv.forEach((a) => {
+    if (a === '--dry-run') args.dryRun = true;
+    else if (a === '--strict') args.strict = true;
+    else if (a === '--help' || a === '-h') args.help = true;
+    else args.unknown = a;
+  });
+  return args;
+}
+
+// Patch paths use "/objects"; legacy files keep objects under "datasets"
+function toPatchDocument(raw) {
+  const objectsKey = Array.isArray(raw.objects) ? 'objects' : Array.isArray(raw.datasets) ? 'datasets' : 'objects';
+  const doc = {};
+  Object.keys(raw).forEach((k) => {
+    doc[k === objectsKey ? 'objects' : k] = raw[k];
+  });
+  if (!doc.objects) doc.objects = [];
+  if (!doc.attributes) doc.attributes = [];
+  return { doc, objectsKey };
+}
+
+function fromPatchDocument(doc, objectsKey) {
+  const raw = {};
+  Object.keys(doc).forEach((k) => {
+    raw[k === 'objects' ? objectsKey : k] = doc[k];
+  });
+  return raw;
+}
+
+function issueKey(i) {
+  return [i.code, i.entity, i.id, i.field, i.message].join('|');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node scripts/apply-catalog-patch.js [--dry-run] [--strict] < issue.md');
+    return 0;
+  }
+  if (args.unknown) {
+    console.error(`Unknown argument "${args.unknown}"`);
+    return 2;
+  }
+
+  let ops;
+  try {
+    ops = CatalogPatch.extractPatch(fs.readFileSync(0, 'utf8'));
+  } catch (e) {
+    console.error(`Could not read a patch from stdin: ${e.message}`);
+    return 2;
+  }
+  if (!ops.length) {
+    console.error('The patch is empty; nothing to apply.');
+    return 2;
+  }
+
+  const split = CatalogFiles.hasSplitLayout();
+  const raw = split ? CatalogFiles.mergeCatalog() : CatalogFiles.readJson(CatalogFiles.CATALOG_FILE);
+  const { doc, objectsKey } = toPatchDocument(raw);
+
+  let result;
+  try {
+    result = CatalogPatch.applyPatch(doc, ops);
+  } catch (e) {
+    console.error(`Patch rejected: ${e.message}`);
+    return 1;
+  }
+  result.rebased.forEach((r) => {
+    console.log(`Note: ${r.collection} "${r.id}" moved from index ${r.from} to ${r.to}; patch paths adjusted.`);
+  });
+
+  const patched = fromPatchDocument(result.doc, objectsKey);
+  const before = new Set(
+    CatalogValidator.validateCatalog(raw)
+      .issues.filter((i) => i.severity === 'error')
+      .map(issueKey)
+  );
+  const afterErrors = CatalogValidator.validateCatalog(patched).issues.filter((i) => i.severity === 'error');
+  const blocking = args.strict ? afterErrors : afterErrors.filter((i) => !before.has(issueKey(i)));
+  if (blocking.length) {
+    console.error(`Patch rejected: ${blocking.length} validation error(s)${args.strict ? '' : ' introduced'}:`);
+    blocking.forEach((i) => console.error(`  - [${i.code}] ${i.entity} ${i.id || ''}: ${i.message}`));
+    return 1;
+  }
+
+  console.log(`${ops.length} operation(s) applied cleanly.`);
+  if (args.dryRun) {
+    console.log('Dry run: no files written.');
+    return 0;
+  }
+
+  if (split) CatalogFiles.writeSplitCatalog(patched, { force: true });
+  CatalogFiles.writeJson(CatalogFiles.CATALOG_FILE, patched);
+  console.log(`Wrote data/catalog.json${split ? ' and the per-record files' : ''}.`);
+  return 0;
+}
+
+process.exitCode = main();
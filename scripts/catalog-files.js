@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+// Maintain the split catalog layout:
+//
+//   data/index.json              generated list of record files (read by Catalog.loadCatalog)
+//   data/catalog.meta.json       top-level keys other than objects/attributes (e.g. "ui")
+//   data/objects/<id>.json       one object per file
+//   data/attributes/<id>.json    one attribute per file
+//
+// data/catalog.json is the merged legacy single file for older consumers; regenerate it with
+// "merge" after editing the per-record files.
+//
+// Usage:
+//   node scripts/catalog-files.js split [--force]   catalog.json -> per-record files + index
+//   node scripts/catalog-files.js index             rebuild index.json from the record directories
+//   node scripts/catalog-files.js merge             index + record files -> catalog.json
+//   node scripts/catalog-files.js build             index, then merge
+//   node scripts/catalog-files.js check             exit 1 if catalog.json is out of date
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CATALOG_FILE = path.join(DATA_DIR, 'catalog.json');
+const INDEX_FILE = path.join(DATA_DIR, 'index.json');
+const META_FILE = 'catalog.meta.json';
+const RECORD_DIRS = { objects: 'objects', attributes: 'attributes' };
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + '\n');
+}
+
+// File name for a record id; ids are not guaranteed to be file-system safe
+function recordFileName(id, taken) {
+  const base =
+    String(id || '')
+      .replace(/[^A-Za-z0-9._-]+/g, '_')
+      .replace(/^[_.]+|[_.]+$/g, '')
+      .slice(0, 80) || 'record';
+  let name = `${base}.json`;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base}-${n}.json`;
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+function listRecordFiles(kind) {
+  const dir = path.join(DATA_DIR, RECORD_DIRS[kind]);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => `${RECORD_DIRS[kind]}/${f}`);
+}
+
+function hasSplitLayout() {
+  return fs.existsSync(INDEX_FILE);
+}
+
+function split({ force }) {
+  writeSplitCatalog(readJson(CATALOG_FILE), { force });
+}
+
+// Write a raw catalog (legacy single-file shape) as per-record files + index + meta
+function writeSplitCatalog(raw, { force = false } = {}) {
+  const objectsKey = Array.isArray(raw.objects) ? 'objects' : 'datasets';
+  const records = {
+    objects: Array.isArray(raw[objectsKey]) ? raw[objectsKey] : [],
+    attributes: Array.isArray(raw.attributes) ? raw.attributes : [],
+  };
+
+  const existing = [...listRecordFiles('objects'), ...listRecordFiles('attributes')];
+  if (existing.length && !force) {
+    throw new Error(`data/${RECORD_DIRS.objects} or data/${RECORD_DIRS.attributes} already has files (use --force to replace them)`);
+  }
+  existing.forEach((f) => fs.unlinkSync(path.join(DATA_DIR, f)));
+
+  const index = { generated_by: 'scripts/catalog-files.js', objects_key: objectsKey, meta: META_FILE, objects: [], attributes: [] };
+  Object.keys(RECORD_DIRS).forEach((kind) => {
+    const dir = path.join(DATA_DIR, RECORD_DIRS[kind]);
+    fs.mkdirSync(dir, { recursive: true });
+    const taken = new Set();
+    records[kind].forEach((rec) => {
+      const file = recordFileName(rec && rec.id, taken);
+      writeJson(path.join(dir, file), rec);
+      index[kind].push(`${RECORD_DIRS[kind]}/${file}`);
+    });
+  });
+
+  const meta = {};
+  Object.keys(raw).forEach((k) => {
+    if (k !== 'objects' && k !== 'datasets' && k !== 'attributes') meta[k] = raw[k];
+  });
+  writeJson(path.join(DATA_DIR, META_FILE), meta);
+  writeJson(INDEX_FILE, index);
+
+  console.log(`Split ${records.objects.length} objects and ${records.attributes.length} attributes into data/`);
+}
+
+// Keep the existing order for files still present; new files are appended by name.
+function buildIndex() {
+  const previous = fs.existsSync(INDEX_FILE) ? readJson(INDEX_FILE) : {};
+  const index = {
+    generated_by: 'scripts/catalog-files.js',
+    objects_key: previous.objects_key || 'objects',
+    meta: previous.meta || META_FILE,
+    objects: [],
+    attributes: [],
+  };
+
+  Object.keys(RECORD_DIRS).forEach((kind) => {
+    const present = listRecordFiles(kind);
+    const presentSet = new Set(present);
+    const kept = (Array.isArray(previous[kind]) ? previous[kind] : []).filter((f) => presentSet.has(f));
+    const keptSet = new Set(kept);
+    index[kind] = [...kept, ...present.filter((f) => !keptSet.has(f))];
+
+    const seen = new Map();
+    index[kind].forEach((f) => {
+      const rec = readJson(path.join(DATA_DIR, f));
+      if (!rec || !rec.id) throw new Error(`${f} has no "id"`);
+      if (seen.has(rec.id)) throw new Error(`Duplicate ${kind} id "${rec.id}" in ${seen.get(rec.id)} and ${f}`);
+      seen.set(rec.id, f);
+    });
+  });
+
+  writeJson(INDEX_FILE, index);
+  console.log(`Indexed ${index.objects.length} objects and ${index.attributes.length} attributes`);
+  return index;
+}
+
+// Same shape as the legacy file: meta keys first, then attributes, then objects/datasets
+function mergeCatalog() {
+  if (!fs.existsSync(INDEX_FILE)) throw new Error('data/index.json not found (run "split" or "index" first)');
+  const index = readJson(INDEX_FILE);
+  const meta = index.meta && fs.existsSync(path.join(DATA_DIR, index.meta)) ? readJson(path.join(DATA_DIR, index.meta)) : {};
+  return {
+    ...meta,
+    attributes: (index.attributes || []).map((f) => readJson(path.join(DATA_DIR, f))),
+    [index.objects_key || 'objects']: (index.objects || []).map((f) => readJson(path.join(DATA_DIR, f))),
+  };
+}
+
+function merge() {
+  const merged = mergeCatalog();
+  writeJson(CATALOG_FILE, merged);
+  console.log('Wrote data/catalog.json');
+}
+
+function check() {
+  const merged = mergeCatalog();
+  const current = readJson(CATALOG_FILE);
+  if (JSON.stringify(merged) !== JSON.stringify(current)) {
+    console.error('data/catalog.json is out of date with the per-record files (run "node scripts/catalog-files.js build")');
+    return 1;
+  }
+  console.log('data/catalog.json is up to date');
+  return 0;
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const force = rest.includes('--force');
+  try {
+    switch (command) {
+      case 'split':
+        split({ force });
+        return 0;
+      case 'index':
+        buildIndex();
+        return 0;
+      case 'merge':
+        merge();
+        return 0;
+      case 'build':
+        buildIndex();
+        merge();
+        return 0;
+      case 'check':
+        return check();
+      default:
+        console.log('Usage: node scripts/catalog-files.js split [--force] | index | merge | build | check');
+        return command ? 2 : 0;
+    }
+  } catch (e) {
+    console.error(e.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = {
+  CATALOG_FILE,
+  readJson,
+  writeJson,
+  hasSplitLayout,
+  writeSplitCatalog,
+  mergeCatalog,
+};
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Snapshot data/catalog.json as a dated release and register it in data/releases/index.json.
+//
+// Usage:
+//   node scripts/snapshot-catalog.js [--id 2026-10-01] [--label "FY26 Q1"] [--notes "..."] [--force]
+//
+// --id defaults to today's date (YYYY-MM-DD); an existing release id is only replaced with --force.
+// Run "node scripts/catalog-files.js build" first so data/catalog.json matches the per-record files.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const CATALOG_FILE = path.join(ROOT, 'data', 'catalog.json');
+const RELEASES_DIR = path.join(ROOT, 'data', 'releases');
+const MANIFEST_FILE = path.join(RELEASES_DIR, 'index.json');
+
+function parseArgs(argv) {
+  const args = { id: new Date().toISOString().slice(0, 10), label: null, notes: '', force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--id') args.id = argv[++i];
+    else if (a === '--label') args.label = argv[++i];
+    else if (a === '--notes') args.notes = argv[++i];
+    else if (a === '--force') args.force = true;
+    else if (a === '--help' || a === '-h') args.help = true;
+    else {
+      console.error(`Unknown argument "${a}"`);
+      args.bad = true;
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node scripts/snapshot-catalog.js [--id YYYY-MM-DD] [--label text] [--notes text] [--force]');
+    return 0;
+  }
+  if (args.bad) return 2;
+  if (!/^[A-Za-z0-9._-]+$/.test(args.id || '')) {
+    console.error(`Release id "${args.id}" may only contain letters, digits, ".", "_" and "-"`);
+    return 2;
+  }
+
+  let catalogText;
+  try {
+    catalogText = fs.readFileSync(CATALOG_FILE, 'utf8');
+    JSON.parse(catalogText);
+  } catch (e) {
+    console.error(`Failed to read ${CATALOG_FILE}: ${e.message}`);
+    return 2;
+  }
+
+  let manifest = { releases: [] };
+  if (fs.existsSync(MANIFEST_FILE)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    } catch (e) {
+      console.error(`Failed to read ${MANIFEST_FILE}: ${e.message}`);
+      return 2;
+    }
+    if (!Array.isArray(manifest.releases)) manifest.releases = [];
+  }
+
+  const existingIdx = manifest.releases.findIndex((r) => r && r.id === args.id);
+  if (existingIdx !== -1 && !args.force) {
+    console.error(`Release "${args.id}" already exists (use --force to replace it)`);
+    return 1;
+  }
+
+  const file = `catalog-${args.id}.json`;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(args.id) ? args.id : new Date().toISOString().slice(0, 10);
+  const entry = { id: args.id, label: args.label || args.id, date, file, notes: args.notes };
+
+  fs.mkdirSync(RELEASES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(RELEASES_DIR, file), catalogText);
+
+  if (existingIdx !== -1) manifest.releases[existingIdx] = entry;
+  else manifest.releases.push(entry);
+  manifest.releases.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n');
+
+  console.log(`Wrote data/releases/${file} and registered release "${entry.id}"`);
+  return 0;
+}
+
+process.exitCode = main();
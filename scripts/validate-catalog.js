@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Validate a catalog file and print the report.
+//
+// Usage:
+//   node scripts/validate-catalog.js [path/to/catalog.json] [--format json|markdown] [--out report.md]
+//
+// Exits with code 1 when the catalog has errors (warnings alone do not fail).
+
+const fs = require('fs');
+const path = require('path');
+const CatalogValidator = require('../catalog-validate.js');
+
+function parseArgs(argv) {
+  const args = { file: path.join(__dirname, '..', 'data', 'catalog.json'), format: 'markdown', out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--format') args.format = argv[++i];
+    else if (a === '--out') args.out = argv[++i];
+    else if (a === '--help' || a === '-h') args.help = true;
+    else args.file = a;
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node scripts/validate-catalog.js [catalog.json] [--format json|markdown] [--out file]');
+    return 0;
+  }
+  if (args.format !== 'json' && args.format !== 'markdown') {
+    console.error(`Unknown --format "${args.format}" (use json or markdown)`);
+    return 2;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  } catch (e) {
+    console.error(`Failed to read ${args.file}: ${e.message}`);
+    return 2;
+  }
+
+  const report = CatalogValidator.validateCatalog(raw);
+  const text =
+    args.format === 'json' ? JSON.stringify(report, null, 2) : CatalogValidator.formatReportMarkdown(report);
+
+  if (args.out) fs.writeFileSync(args.out, text + '\n');
+  else console.log(text);
+
+  return report.summary.valid ? 0 : 1;
+}
+
+process.exitCode = main();